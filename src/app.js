@@ -6,6 +6,9 @@ const express = require('express');
 const path = require('path');
 const createApiRouter = require('./routes/api');
 const createDocsRouter = require('./routes/docs');
+const createGraphqlRouter = require('./routes/graphql');
+const ApiController = require('./controllers/apiController');
+const { listEndpoints } = require('./routes/registry');
 const {
     errorHandler,
     notFoundHandler,
@@ -32,8 +35,10 @@ function createApp() {
     // Static files (for landing page assets)
     app.use(express.static(path.join(__dirname, '../public')));
 
-    // API routes
-    app.use('/api', createApiRouter());
+    // API routes, and GraphQL over the same controller so both share its cache and in-flight lookups
+    const controller = new ApiController();
+    app.use('/api', createApiRouter(controller));
+    app.use('/graphql', createGraphqlRouter(controller));
 
     // Docs routes
     app.use('/docs', createDocsRouter());
@@ -46,19 +51,9 @@ function createApp() {
             baseUrl: '/api',
             docs: '/docs',
             message: 'Visit /docs for complete API documentation',
-            endpoints: [
-                { method: 'GET', path: '/api/home', description: 'Get homepage data' },
-                { method: 'GET', path: '/api/info', description: 'Get anime info' },
-                { method: 'GET', path: '/api/episodes', description: 'Get episode list' },
-                { method: 'GET', path: '/api/stream', description: 'Get stream links' },
-                { method: 'GET', path: '/api/movies', description: 'Get movies list' },
-                { method: 'GET', path: '/api/movies/:id', description: 'Get movie info' },
-                { method: 'GET', path: '/api/cartoon', description: 'Get cartoons' },
-                { method: 'GET', path: '/api/search', description: 'Search anime' },
-                { method: 'GET', path: '/api/genre/:genre', description: 'Get anime by genre' },
-                { method: 'GET', path: '/api/random', description: 'Get random anime' },
-                { method: 'GET', path: '/api/test-links', description: 'Test API with sample links' },
-            ],
+            endpoints: listEndpoints(),
+            openapi: '/api/openapi.json',
+            graphql: '/graphql',
         });
     });
 
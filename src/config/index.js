@@ -3,6 +3,20 @@
  * Centralized configuration management for the API
  */
 
+const path = require('path');
+
+/**
+ * Read an integer setting from the environment. Unlike `parseInt(...) || fallback`
+ * this keeps an explicit 0, for settings where 0 turns something off.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number} - Setting
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
 module.exports = {
     // Server Configuration
     server: {
@@ -27,6 +41,32 @@ module.exports = {
             'Connection': 'keep-alive',
             'Upgrade-Insecure-Requests': '1',
         },
+        // Per-host politeness queue
+        scheduler: {
+            maxConcurrency: parseInt(process.env.UPSTREAM_MAX_CONCURRENCY) || 4,
+            minInterval: envInt('UPSTREAM_MIN_INTERVAL', 250), // ms between request starts, 0 for no spacing
+        },
+        // Upstream circuit breaker
+        circuitBreaker: {
+            failureThreshold: 5,      // consecutive failures before opening
+            resetTimeout: 30 * 1000,  // 30 seconds open before probing
+            halfOpenProbes: 1,        // concurrent probe requests while half-open
+        },
+        // Request deadlines in ms, keyed by the `deadline` of the registry routes
+        deadlines: {
+            default: parseInt(process.env.REQUEST_DEADLINE) || 9000, // Vercel has a 10s limit
+            stream: 12000,
+            test: 15000,
+            'test-links': 60000,
+            cron: 60000,
+            admin: 60000,
+        },
+    },
+
+    // Transport Configuration (live, record or replay)
+    transport: {
+        mode: process.env.TRANSPORT_MODE || 'live',
+        fixturesDir: process.env.FIXTURES_DIR || path.join(__dirname, '../../fixtures'),
     },
 
     // Cache Configuration
@@ -37,6 +77,77 @@ module.exports = {
         category: 10 * 60 * 1000,  // 10 minutes
         stream: 5 * 60 * 1000,     // 5 minutes
         movies: 15 * 60 * 1000,    // 15 minutes
+        slugs: 24 * 60 * 60 * 1000, // 24 hours for where a cartoon slug lives
+        characters: 60 * 60 * 1000, // 1 hour for character lists, characters and voice actors
+        notFound: parseInt(process.env.NOT_FOUND_TTL) || 5 * 60 * 1000, // 5 minutes for upstream 404s and empty pages
+    },
+
+    // Stale cache handling for home, info, episodes and movies, in ms past expiry
+    staleCache: {
+        // Serve stale data immediately and refresh it in the background
+        staleWhileRevalidate: envInt('STALE_WHILE_REVALIDATE', 60 * 60 * 1000), // 1 hour, 0 to always refresh first
+        // Serve stale data when a refresh fails
+        staleIfError: envInt('STALE_IF_ERROR', 24 * 60 * 60 * 1000), // 24 hours, 0 to never serve stale data
+    },
+
+    // Shared cache limits, across all namespaces above
+    cacheLimits: {
+        maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+        maxBytes: parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024, // 50 MB
+    },
+
+    // On-disk snapshot of the memory cache, restored on boot
+    cacheSnapshot: {
+        enabled: process.env.CACHE_SNAPSHOT === 'true',
+        path: process.env.CACHE_SNAPSHOT_PATH || path.join(__dirname, '../../.cache/cache-snapshot.jsonl'),
+        maxBytes: parseInt(process.env.CACHE_SNAPSHOT_MAX_BYTES) || 10 * 1024 * 1024, // 10 MB
+        interval: 5 * 60 * 1000, // save every 5 minutes and on shutdown
+    },
+
+    // Shared cache backend (memory or redis), falls back to memory when unreachable
+    cacheBackend: {
+        type: process.env.CACHE_BACKEND || 'memory',
+        url: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+        keyPrefix: process.env.CACHE_KEY_PREFIX || 'animesalt:',
+        staleRetention: 24 * 60 * 60 * 1000, // keep expired entries readable for 24 hours
+        connectTimeout: 1000,
+        commandTimeout: 500,
+        retryInterval: 30 * 1000,            // retry the backend 30 seconds after a failure
+    },
+
+    // Admin endpoints (/api/admin/*), disabled unless a token is set
+    admin: {
+        token: process.env.ADMIN_TOKEN || null,
+        maxKeys: 500, // max keys returned by one key listing
+    },
+
+    // Background cache pre-warming of home and the titles it lists
+    prewarm: {
+        enabled: process.env.PREWARM === 'true',      // run on a timer (long-running servers only)
+        interval: parseInt(process.env.PREWARM_INTERVAL) || 10 * 60 * 1000,
+        refreshAhead: 15 * 60 * 1000,  // refresh entries expiring within 15 minutes
+        concurrency: parseInt(process.env.PREWARM_CONCURRENCY) || 3,
+        timeout: 55 * 1000,            // deadline for one run
+        sections: ['trending', 'mostWatchedSeries', 'freshDrops'],
+        cronSecret: process.env.CRON_SECRET || null, // bearer token sent by Vercel Cron
+    },
+
+    // Batch lookups (POST /api/batch, GET /api/info?ids=)
+    batch: {
+        maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 50,
+        concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 4, // lookups running at once per batch
+    },
+
+    // GraphQL endpoint (/graphql)
+    graphql: {
+        maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8,    // nesting limit of a query
+        maxLoads: parseInt(process.env.GRAPHQL_MAX_LOADS) || 50,   // info, episode and stream lookups per query
+    },
+
+    // Runtime validation of parser output against the contract schemas
+    // (strict: fail the parse, warn: log violations, off: skip)
+    outputValidation: {
+        mode: process.env.OUTPUT_VALIDATION || (process.env.NODE_ENV === 'production' ? 'off' : 'warn'),
     },
 
     // Pagination Configuration
@@ -45,6 +156,14 @@ module.exports = {
         maxPageSize: 100,
         moviesPageSize: 20,
         maxMoviesPageSize: 50,
+        maxUpstreamPages: parseInt(process.env.PAGINATION_MAX_UPSTREAM_PAGES) || 5, // upstream pages read for one list page
+    },
+
+    // Search suggestions, answered from an index of the titles seen in home and list results
+    suggest: {
+        defaultLimit: 10,
+        maxLimit: 20,
+        maxIndexSize: parseInt(process.env.SUGGEST_INDEX_SIZE) || 5000, // least recently seen titles are dropped first
     },
 
     // Content Type Configuration
@@ -98,6 +217,57 @@ module.exports = {
         'supernatural': '👽', 'thriller': '😱', 'vampire': '🧛', 'yaoi': '💙', 'yuri': '💜',
     },
 
+    // Language Configuration
+    languageCodes: {
+        'english': 'en',
+        'hindi': 'hi',
+        'japanese': 'ja',
+        'tamil': 'ta',
+        'telugu': 'te',
+        'malayalam': 'ml',
+        'bengali': 'bn',
+        'korean': 'ko',
+        'chinese': 'zh',
+    },
+
+    languageNames: {
+        'en': 'English',
+        'hi': 'Hindi',
+        'ja': 'Japanese',
+        'ta': 'Tamil',
+        'te': 'Telugu',
+        'ml': 'Malayalam',
+        'bn': 'Bengali',
+        'ko': 'Korean',
+        'zh': 'Chinese',
+    },
+
+    languageFlags: {
+        'en': '🇺🇸',
+        'hi': '🇮🇳',
+        'ja': '🇯🇵',
+        'ta': '🇮🇳',
+        'te': '🇮🇳',
+        'ml': '🇮🇳',
+        'bn': '🇧🇩',
+        'ko': '🇰🇷',
+        'zh': '🇨🇳',
+    },
+
+    // Sub-Only Filtering Patterns
+    subOnlyPatterns: [
+        /\(sub\b/i,
+        /\[sub\]/i,
+        /\(sub only\)/i,
+        /\[sub only\]/i,
+        /\bsub only\b/i,
+        /\bsubbed\b/i,
+        /\bsubtitle\b/i,
+        /\bsubtitles\b/i,
+        /\(raw\)/i,
+        /\[raw\]/i,
+    ],
+
     // Language Patterns for Availability Detection
     languagePatterns: {
         'English': ['english', 'eng sub', 'eng dub', 'subtitled in english'],
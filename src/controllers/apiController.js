@@ -3,10 +3,154 @@
  * Updated with standardized error handling, validation, and HomeParser integration
  */
 
-const { AnimeParser, CartoonParser, MoviesParser, HomeParser } = require('../parsers');
-const { fetchHTML } = require('../utils/request');
+const { AnimeParser, CartoonParser, MoviesParser, HomeParser, CharacterExtractor } = require('../parsers');
+const { fetchHTML, isCircuitOpen } = require('../utils/request');
+const { createSingleFlight } = require('../utils/singleFlight');
+const { raceSignal, isAbortError, createDeadline } = require('../utils/deadline');
+const { ErrorCodes } = require('../middleware/errorHandler');
+const { toEnvelope } = require('../middleware/envelope');
+const { cache, estimateBytes } = require('../utils/cache');
 const config = require('../../config/config');
+const { staleCache, request: requestConfig, admin: adminConfig, batch: batchConfig, pagination: paginationConfig } = require('../config');
 const validator = require('../utils/validator');
+const { runWithConcurrency } = require('../utils/helpers');
+const { extractPagination, encodeCursor, decodeCursor } = require('../utils/pagination');
+const { titleIndex, toSuggestion } = require('../utils/titleIndex');
+
+/**
+ * Build the result for a rejected request parameter
+ * @param {string} message - Validation error message
+ * @returns {object} - Error result
+ */
+function validationError(message) {
+    return {
+        success: false,
+        statusCode: 400,
+        error: message,
+        errorCode: ErrorCodes.VALIDATION_ERROR,
+    };
+}
+
+/**
+ * Build the result for a batch item the request deadline cut off
+ * @returns {object} - Error result
+ */
+function batchTimeout() {
+    return {
+        success: false,
+        statusCode: 504,
+        error: 'Request deadline exceeded before this item was loaded',
+        errorCode: ErrorCodes.TIMEOUT,
+    };
+}
+
+/**
+ * Add the titles of a home result or list page to the suggestion index
+ * @param {object} result - Home result or list page
+ * @returns {object} - The result, unchanged
+ */
+function indexTitles(result) {
+    titleIndex.addResult(result);
+    return result;
+}
+
+/**
+ * Build a list endpoint response from a paginated list
+ * @param {object} list - Result of ApiController.paginate
+ * @param {string} key - Property holding the items
+ * @param {object} fields - Properties describing the list (query, genre, ...)
+ * @returns {object} - Response, or the failed result as-is
+ */
+function listResponse(list, key, fields = {}) {
+    if (!list.success) return list;
+
+    const { pagination } = list;
+    return {
+        success: true,
+        ...fields,
+        page: pagination.page,
+        pageSize: pagination.pageSize,
+        totalPages: pagination.totalPages,
+        [key]: list.items,
+        pagination,
+    };
+}
+
+/**
+ * Keep only the stream sources of one server
+ * @param {object} result - Stream result
+ * @param {number|string} server - 1-based server number, or a name matched against
+ *                                 the player name, server label and host name
+ * @returns {object} - Stream result with the matching sources, or NOT_FOUND
+ */
+function selectServer(result, server) {
+    const hostOf = (url) => {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    };
+
+    const sources = typeof server === 'number'
+        ? result.sources.slice(server - 1, server)
+        : result.sources.filter(source => [source.player, source.serverInfo, hostOf(source.url)]
+            .some(name => typeof name === 'string' && name.toLowerCase().includes(server)));
+
+    if (sources.length === 0) {
+        const available = result.sources.map((source, index) => `${index + 1} (${source.player})`).join(', ');
+        return {
+            success: false,
+            statusCode: 404,
+            error: `Server "${server}" not found. Available: ${available || 'none'}`,
+            errorCode: ErrorCodes.NOT_FOUND,
+        };
+    }
+
+    return { ...result, server, sources };
+}
+
+/**
+ * Read the operations of a batch request
+ * @param {object|Array} input - { ids, op } or { operations }, or a bare array of either
+ * @returns {object} - { operations } or { error }
+ */
+function parseBatchOperations(input) {
+    const body = Array.isArray(input) ? { operations: input } : input || {};
+    const defaultOp = body.op || 'info';
+
+    let entries = body.operations || body.ids;
+    if (typeof entries === 'string') {
+        entries = entries.split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return {
+            error: {
+                success: false,
+                statusCode: 400,
+                error: 'ids or operations required',
+                errorCode: ErrorCodes.MISSING_PARAM,
+            },
+        };
+    }
+    if (entries.length > batchConfig.maxItems) {
+        return { error: validationError(`A batch holds at most ${batchConfig.maxItems} items, got ${entries.length}`) };
+    }
+
+    const operations = [];
+    for (const entry of entries) {
+        const operation = typeof entry === 'string'
+            ? { op: defaultOp, id: entry.trim() }
+            : { op: (entry && entry.op) || defaultOp, id: entry && entry.id };
+        if (typeof operation.id !== 'string' || operation.id === '') {
+            return { error: validationError('Every batch item needs an id') };
+        }
+        operations.push(operation);
+    }
+
+    return { operations };
+}
 
 /**
  * API Controller class with improved architecture
@@ -17,34 +161,223 @@ class ApiController {
         this.cartoonParser = new CartoonParser();
         this.moviesParser = new MoviesParser();
         this.homeParser = new HomeParser();
-        this.cache = new Map();
-        this.cacheStats = { hits: 0, misses: 0 };
+        this.characterExtractor = new CharacterExtractor();
+        this.inflight = createSingleFlight();
+        // Seeding of the title index from the cache, see seedTitleIndex
+        this.titleIndexSeed = null;
+    }
+
+    /**
+     * Get stale cached data flagged as degraded while the upstream circuit is open
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @returns {object|null} - Degraded response or null if there is nothing to serve
+     */
+    async getDegraded(namespace, key) {
+        if (!isCircuitOpen()) return null;
+
+        const entry = await cache.peek(namespace, key);
+        if (!entry) return null;
+
+        const result = this.withCacheMeta(entry, {
+            warning: 'The source website is unavailable. Serving the last cached data.',
+        });
+        result.meta.degraded = true;
+        return result;
+    }
+
+    /**
+     * Copy a cached value and describe the cache entry in meta.cache
+     * @param {object} entry - Cache entry ({ value, storedAt, expiresAt })
+     * @param {object} extra - Additional meta.cache fields
+     * @returns {object} - Response with meta.cache
+     */
+    withCacheMeta(entry, extra = {}) {
+        const now = Date.now();
+        return {
+            ...entry.value,
+            meta: {
+                ...(entry.value.meta || {}),
+                cache: {
+                    timestamp: new Date(entry.storedAt).toISOString(),
+                    expiresAt: new Date(entry.expiresAt).toISOString(),
+                    age: `${Math.floor((now - entry.storedAt) / 60000)}m`,
+                    isStale: now >= entry.expiresAt,
+                    isCached: true,
+                    ...extra,
+                },
+            },
+        };
+    }
+
+    /**
+     * Check whether a loader result is real data worth caching and serving
+     * @param {object} result - Loader result
+     * @returns {boolean} - True for successful, non-sample results
+     */
+    isUsable(result) {
+        return !!(result && result.success && !(result.meta && result.meta.isFallback));
     }
 
     /**
-     * Get from cache with stats tracking
+     * Load a resource with stale-while-revalidate semantics
+     *
+     * Fresh entries are served from the cache. Entries that expired less than
+     * staleWhileRevalidate ago are served immediately while a background refresh
+     * runs. Anything older, or missing, is loaded in the foreground; if that
+     * fails, entries that expired less than staleIfError ago are served instead.
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Receives an AbortSignal, loads and caches the resource
+     * @param {object} options - Request options ({ signal })
      */
-    getFromCache(key) {
-        const item = this.cache.get(key);
-        if (item && Date.now() - item.timestamp < item.ttl) {
-            this.cacheStats.hits++;
-            return item.data;
+    async loadWithRevalidate(namespace, key, loader, options = {}) {
+        const entry = await cache.lookup(namespace, key);
+        const expiredFor = entry ? Date.now() - entry.expiresAt : null;
+
+        if (entry && expiredFor < 0) {
+            return this.withCacheMeta(entry);
         }
-        this.cacheStats.misses++;
-        return null;
+
+        if (entry && expiredFor <= staleCache.staleWhileRevalidate) {
+            this.revalidate(namespace, key, loader);
+            return this.withCacheMeta(entry, { revalidating: true });
+        }
+
+        let result;
+        try {
+            // Concurrent callers and background refreshes share one load
+            result = await this.inflight.run(`${namespace}:${key}`, loader, options.signal);
+        } catch (error) {
+            const stale = await this.getStaleIfError(namespace, key, entry);
+            if (stale) return stale;
+            throw error;
+        }
+
+        if (this.isUsable(result)) {
+            const now = Date.now();
+            return {
+                ...result,
+                meta: {
+                    ...(result.meta || {}),
+                    cache: {
+                        timestamp: new Date(now).toISOString(),
+                        expiresAt: new Date(now + cache.getTtl(namespace)).toISOString(),
+                        age: '0m',
+                        isStale: false,
+                        isCached: false,
+                        isFresh: true,
+                    },
+                },
+            };
+        }
+
+        // A missing page is an answer, not an outage - never hide it behind stale data
+        if (result && result.errorCode === ErrorCodes.NOT_FOUND) {
+            return result;
+        }
+
+        const stale = await this.getStaleIfError(namespace, key, entry);
+        if (stale) return stale;
+
+        return this.loadWithFallback(namespace, key, async () => result, options);
+    }
+
+    /**
+     * Refresh a cache entry in the background, bounded by the default deadline
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Receives an AbortSignal, loads and caches the resource
+     */
+    revalidate(namespace, key, loader) {
+        const deadline = createDeadline(requestConfig.deadlines.default);
+
+        this.inflight.run(`${namespace}:${key}`, loader, deadline.signal)
+            .then((result) => {
+                if (!this.isUsable(result)) {
+                    console.error(`[Controller] Background refresh of ${namespace}:${key} failed:`, (result && result.error) || 'no data');
+                }
+            })
+            .catch((error) => {
+                console.error(`[Controller] Background refresh of ${namespace}:${key} failed:`, error.message);
+            })
+            .finally(() => deadline.clear());
     }
 
     /**
-     * Set cache with size limits
+     * Serve a stale entry after a failed load, if it expired less than staleIfError ago
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {object} entry - Entry read before the load (may be null)
+     * @returns {Promise<object|null>} - Stale response or null
      */
-    setCache(key, data, ttl = config.cache.ttl) {
-        // Enforce cache size limit
-        if (this.cache.size >= config.cache.maxSize) {
-            // Remove oldest entry
-            const oldestKey = this.cache.keys().next().value;
-            this.cache.delete(oldestKey);
+    async getStaleIfError(namespace, key, entry) {
+        if (entry && Date.now() - entry.expiresAt <= staleCache.staleIfError) {
+            const result = this.withCacheMeta(entry, {
+                staleIfError: true,
+                warning: 'The source website could not be reached. Serving cached data.',
+            });
+            if (isCircuitOpen()) result.meta.degraded = true;
+            return result;
         }
-        this.cache.set(key, { data, timestamp: Date.now(), ttl });
+
+        return this.getDegraded(namespace, key);
+    }
+
+    /**
+     * Load a resource through the shared cache
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Async function producing the result
+     * @param {object} options - Request options ({ signal })
+     */
+    async loadCached(namespace, key, loader, options = {}) {
+        const cached = await cache.get(namespace, key);
+        if (cached) return cached;
+
+        return this.loadWithFallback(namespace, key, async () => {
+            const result = await loader();
+            if (result && result.success) {
+                await cache.set(namespace, key, result);
+            }
+            return result;
+        }, options);
+    }
+
+    /**
+     * Run a loader, serving stale data while the upstream is down. Used directly for
+     * parser-backed resources, which read and fill the shared cache themselves.
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Async function producing the result
+     * @param {object} options - Request options ({ signal })
+     */
+    async loadWithFallback(namespace, key, loader, options = {}) {
+        const result = await loader();
+        if (result && result.success) {
+            return result;
+        }
+
+        const degraded = await this.getDegraded(namespace, key);
+        if (degraded) return degraded;
+
+        if (options.signal && options.signal.aborted) {
+            return {
+                ...result,
+                statusCode: 504,
+                errorCode: ErrorCodes.TIMEOUT,
+            };
+        }
+
+        if (isCircuitOpen()) {
+            return {
+                ...result,
+                statusCode: 503,
+                errorCode: ErrorCodes.UPSTREAM_UNAVAILABLE,
+            };
+        }
+
+        return result;
     }
 
     /**
@@ -52,93 +385,176 @@ class ApiController {
      */
     getCacheStats() {
         return {
-            size: this.cache.size,
-            maxSize: config.cache.maxSize,
-            hits: this.cacheStats.hits,
-            misses: this.cacheStats.misses,
-            hitRate: this.cacheStats.hits + this.cacheStats.misses > 0 
-                ? ((this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses)) * 100).toFixed(2) + '%' 
-                : '0%',
+            ...cache.stats(),
+            singleFlight: this.inflight.stats(),
         };
     }
 
     /**
      * Clear cache
      */
-    clearCache() {
-        this.cache.clear();
-        this.cacheStats = { hits: 0, misses: 0 };
+    async clearCache() {
+        await cache.clear();
     }
 
     /**
-     * Get home page data using HomeParser
+     * Check a namespace name against the configured cache namespaces
+     * @param {string} namespace - Namespace
+     * @returns {object|null} - Error result or null if valid
      */
-    async getHome() {
-        const cacheKey = 'home';
-        const cached = this.getFromCache(cacheKey);
-        
-        // If we have cached data, add cache metadata
-        if (cached) {
-            const cacheTimestamp = cached._cacheTimestamp || Date.now();
-            const age = Date.now() - cacheTimestamp;
-            const hoursOld = Math.floor(age / 3600000);
-            const isStale = hoursOld >= 1; // Consider stale after 1 hour
-            
-            // Add cache metadata to response
-            cached.meta = cached.meta || {};
-            cached.meta.cache = {
-                timestamp: new Date(cacheTimestamp).toISOString(),
-                age: `${hoursOld}h`,
-                isStale: isStale,
-                isCached: true
+    checkNamespace(namespace) {
+        if (namespace && !Object.prototype.hasOwnProperty.call(cache.ttls, namespace)) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: `Unknown cache namespace: ${namespace}`,
+                errorCode: ErrorCodes.VALIDATION_ERROR,
+                namespaces: Object.keys(cache.ttls),
             };
-            
-            // Add warning if stale
-            if (isStale) {
-                cached.meta.cache.warning = 'This data is over 1 hour old. The source website may be unavailable.';
-                cached.meta.cache.stale = true;
-            }
-            
-            return cached;
         }
+        return null;
+    }
 
-        try {
-            // Vercel has 10s timeout, use 9s for safety
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Request timeout')), 9000);
-            });
+    /**
+     * List cache keys grouped by namespace
+     * @param {object} query - { namespace, prefix, limit }
+     */
+    async listCacheKeys(query = {}) {
+        const invalid = this.checkNamespace(query.namespace);
+        if (invalid) return invalid;
 
-            const extractPromise = this.homeParser.extract();
-            const result = await Promise.race([extractPromise, timeoutPromise]);
-
-            if (result.success) {
-                // Add cache timestamp
-                result._cacheTimestamp = Date.now();
-                
-                this.setCache(cacheKey, result, config.cache.ttl);
-                
-                // Add fresh cache metadata
-                result.meta = result.meta || {};
-                result.meta.cache = {
-                    timestamp: new Date().toISOString(),
-                    age: '0h',
-                    isStale: false,
-                    isCached: false,
-                    isFresh: true
-                };
-                
-                return result;
-            }
+        const maxKeys = adminConfig.maxKeys;
+        const limit = Math.min(Math.max(parseInt(query.limit) || maxKeys, 1), maxKeys);
+        const matching = await cache.keys(query.namespace || null, query.prefix || '');
 
+        const namespaces = {};
+        for (const id of matching.slice(0, limit)) {
+            const separator = id.indexOf(':');
+            const namespace = id.substring(0, separator);
+            if (!namespaces[namespace]) namespaces[namespace] = [];
+            namespaces[namespace].push(id.substring(separator + 1));
+        }
+
+        return {
+            success: true,
+            statusCode: 200,
+            data: {
+                total: matching.length,
+                returned: Math.min(matching.length, limit),
+                truncated: matching.length > limit,
+                namespaces: namespaces,
+            },
+        };
+    }
+
+    /**
+     * Inspect a single cache entry
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @param {boolean} includeValue - Include the cached value
+     */
+    async inspectCacheEntry(namespace, key, includeValue = false) {
+        const invalid = this.checkNamespace(namespace);
+        if (invalid) return invalid;
+
+        const entry = await cache.peek(namespace, key);
+        if (!entry) {
+            return {
+                success: false,
+                statusCode: 404,
+                error: `No cache entry for ${namespace}:${key}`,
+                errorCode: ErrorCodes.NOT_FOUND,
+            };
+        }
+
+        const now = Date.now();
+        const data = {
+            namespace: namespace,
+            key: key,
+            storedAt: new Date(entry.storedAt).toISOString(),
+            expiresAt: new Date(entry.expiresAt).toISOString(),
+            age: Math.floor((now - entry.storedAt) / 1000),
+            ttl: Math.floor(entry.ttl / 1000),
+            remaining: Math.max(0, Math.floor((entry.expiresAt - now) / 1000)),
+            isStale: now >= entry.expiresAt,
+            tags: entry.tags || [],
+            bytes: estimateBytes(entry.value),
+        };
+        if (includeValue) {
+            data.value = entry.value;
+        }
+
+        return { success: true, statusCode: 200, data: data };
+    }
+
+    /**
+     * Invalidate cache entries. Exactly one selector is used, checked in this
+     * order: namespace + key, prefix, tag, namespace, all.
+     * @param {object} selector - { namespace, key, prefix, tag, all }
+     */
+    async invalidateCache(selector = {}) {
+        const invalid = this.checkNamespace(selector.namespace);
+        if (invalid) return invalid;
+
+        let target;
+        let removed;
+        if (selector.namespace && selector.key) {
+            target = { namespace: selector.namespace, key: selector.key };
+            removed = (await cache.delete(selector.namespace, selector.key)) ? 1 : 0;
+        } else if (selector.prefix) {
+            target = { prefix: selector.prefix };
+            removed = await cache.deletePrefix(selector.prefix);
+        } else if (selector.tag) {
+            target = { tag: selector.tag };
+            removed = await cache.deleteTag(selector.tag);
+        } else if (selector.namespace) {
+            target = { namespace: selector.namespace };
+            removed = await cache.clear(selector.namespace);
+        } else if (selector.all === true || selector.all === 'true') {
+            target = { all: true };
+            removed = await cache.clear();
+        } else {
             return {
                 success: false,
-                error: result.error || 'Failed to fetch home page data',
+                statusCode: 400,
+                error: 'Specify namespace and key, prefix, tag, namespace or all',
+                errorCode: ErrorCodes.MISSING_PARAM,
             };
+        }
+
+        console.log(`[Cache] Invalidated ${removed} entries for ${JSON.stringify(target)}`);
+        return {
+            success: true,
+            statusCode: 200,
+            data: { ...target, removed: removed },
+        };
+    }
+
+    /**
+     * Get home page data using HomeParser
+     *
+     * With backdrops: false the spotlights get poster-based backdrops instead of
+     * one watch page fetch each. That lighter copy is cached separately, and
+     * only used while no servable full copy exists.
+     * @param {object} options - Request options ({ signal, backdrops })
+     */
+    async getHome(options = {}) {
+        try {
+            const full = options.backdrops === false ? await cache.peek('home', 'home') : null;
+            const lite = options.backdrops === false &&
+                !(full && Date.now() - full.expiresAt <= staleCache.staleWhileRevalidate);
+
+            return indexTitles(await this.loadWithRevalidate(
+                'home',
+                lite ? 'home-lite' : 'home',
+                (signal) => this.loadHome(signal, { backdrops: !lite }),
+                options
+            ));
         } catch (error) {
             console.error('[Controller] Error getting home:', error.message);
 
             // Return a more informative error with stale fallback
-            if (error.message.includes('timeout') || error.message.includes('network') || error.message.includes('fetch')) {
+            if (isAbortError(error) || error.message.includes('timeout') || error.message.includes('network') || error.message.includes('fetch')) {
                 return {
                     success: false,
                     statusCode: 503,
@@ -164,163 +580,693 @@ class ApiController {
         }
     }
 
+    /**
+     * Extract home page data and store it in the cache
+     * @param {AbortSignal} signal - Aborted once every waiting caller has given up
+     * @param {object} options - { backdrops } (default true)
+     */
+    async loadHome(signal, options = {}) {
+        const backdrops = options.backdrops !== false;
+        const result = await raceSignal(this.homeParser.extract({ signal, backdrops }), signal);
+
+        // Never cache sample data over the last good home data
+        if (result.meta && result.meta.isFallback) {
+            return result;
+        }
+
+        if (result.success) {
+            await cache.set('home', backdrops ? 'home' : 'home-lite', result);
+            return result;
+        }
+
+        return {
+            success: false,
+            error: result.error || 'Failed to fetch home page data',
+        };
+    }
+
     /**
      * Get anime info with validation
      */
-    async getInfo(id) {
+    async getInfo(id, options = {}) {
         // Validate ID
         const validation = validator.validateId(id);
         if (!validation.isValid) {
-            return { success: false, error: validation.error };
+            return validationError(validation.error);
         }
 
-        return this.animeParser.getInfo(id);
+        return this.loadWithRevalidate(
+            'info',
+            id,
+            (signal) => this.animeParser.getInfo(id, { signal, refresh: true }),
+            options
+        );
     }
 
     /**
      * Get anime episodes with validation
      */
-    async getEpisodes(id) {
+    async getEpisodes(id, options = {}) {
         // Validate ID
         const validation = validator.validateId(id);
         if (!validation.isValid) {
-            return { success: false, error: validation.error };
+            return validationError(validation.error);
         }
 
-        return this.animeParser.getEpisodes(id);
+        return this.loadWithRevalidate(
+            'episodes',
+            id,
+            (signal) => this.animeParser.getEpisodes(id, { signal, refresh: true }),
+            options
+        );
     }
 
     /**
      * Get stream links with validation
      */
-    async getStream(episodeId, lang = 'hindi') {
+    async getStream(episodeId, lang = 'hindi', options = {}) {
         // Validate episode ID
         const epValidation = validator.validateEpisodeId(episodeId);
         if (!epValidation.isValid) {
-            return { success: false, error: epValidation.error };
+            return validationError(epValidation.error);
         }
 
         // Validate language
         const langValidation = validator.validateLanguage(lang);
         if (!langValidation.isValid) {
-            return { success: false, error: langValidation.error };
+            return validationError(langValidation.error);
         }
 
-        return this.animeParser.getStream(episodeId, langValidation.value);
+        return this.loadWithFallback(
+            'stream',
+            `${episodeId}:${langValidation.value}`,
+            () => this.animeParser.getStream(episodeId, langValidation.value, options),
+            options
+        );
     }
 
     /**
      * Get movies list with validation
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Items per page, may span several upstream pages
+     * @param {object} options - Request options ({ signal, cursor })
      */
-    async getMovies(page = 1, pageSize = 20) {
-        // Validate pagination
-        const pageValidation = validator.validatePage(page);
-        const sizeValidation = validator.validatePageSize(pageSize);
-        
-        return this.moviesParser.getMovies(pageValidation.value, sizeValidation.value);
+    async getMovies(page = 1, pageSize = 20, options = {}) {
+        const list = await this.paginate((upstreamPage) => this.loadWithRevalidate(
+            'movies',
+            `${upstreamPage}:all`,
+            (signal) => this.moviesParser.getMovies(upstreamPage, null, { signal, refresh: true }),
+            options
+        ).then(result => (result.success ? { ...result, items: result.movies } : result)), { page, pageSize, cursor: options.cursor });
+
+        return listResponse(list, 'movies');
     }
 
     /**
      * Get movie info with validation
      */
-    async getMovieInfo(id) {
+    async getMovieInfo(id, options = {}) {
         // Validate ID
         const validation = validator.validateId(id);
         if (!validation.isValid) {
-            return { success: false, error: validation.error };
+            return validationError(validation.error);
+        }
+
+        return this.loadWithFallback('info', `movie:${id}`, () => this.moviesParser.getInfo(id, options), options);
+    }
+
+    /**
+     * Get stream links of a movie with validation
+     * @param {string} id - Movie ID
+     * @param {string} lang - Preferred language
+     * @param {string} server - Server number or name (optional)
+     * @param {object} options - Request options ({ signal })
+     */
+    async getMovieStream(id, lang = 'hindi', server = undefined, options = {}) {
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
+        }
+
+        const serverValidation = validator.validateServer(server);
+        if (!serverValidation.isValid) {
+            return validationError(serverValidation.error);
+        }
+
+        const langValidation = validator.validateLanguage(lang);
+        if (!langValidation.isValid) {
+            return validationError(langValidation.error);
+        }
+
+        // Every server is cached together, the selection is made per request
+        const result = await this.loadWithFallback(
+            'stream',
+            `movie:${id}:${langValidation.value}`,
+            () => this.moviesParser.getStream(id, langValidation.value, options),
+            options
+        );
+
+        if (!result.success || serverValidation.value === null) {
+            return result;
+        }
+        return selectServer(result, serverValidation.value);
+    }
+
+    /**
+     * Get cartoon info with validation. The slug is looked up under /cartoon/,
+     * /series/ and /movies/.
+     * @param {string} id - Cartoon ID
+     * @param {object} options - Request options ({ signal })
+     */
+    async getCartoonInfo(id, options = {}) {
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
         }
 
-        return this.moviesParser.getInfo(id);
+        return this.loadWithRevalidate(
+            'info',
+            `cartoon:${id}`,
+            (signal) => this.cartoonParser.getInfo(id, { signal, refresh: true }),
+            options
+        );
+    }
+
+    /**
+     * Get cartoon episodes with validation
+     * @param {string} id - Cartoon ID
+     * @param {object} options - Request options ({ signal })
+     */
+    async getCartoonEpisodes(id, options = {}) {
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
+        }
+
+        return this.loadWithRevalidate(
+            'episodes',
+            `cartoon:${id}`,
+            (signal) => this.cartoonParser.getEpisodes(id, { signal, refresh: true }),
+            options
+        );
+    }
+
+    /**
+     * Get stream links of a cartoon episode with validation
+     * @param {string} episodeId - Episode ID (format: cartoon-id-1x1)
+     * @param {string} lang - Preferred language
+     * @param {object} options - Request options ({ signal })
+     */
+    async getCartoonStream(episodeId, lang = 'hindi', options = {}) {
+        const epValidation = validator.validateEpisodeId(episodeId);
+        if (!epValidation.isValid) {
+            return validationError(epValidation.error);
+        }
+
+        const langValidation = validator.validateLanguage(lang);
+        if (!langValidation.isValid) {
+            return validationError(langValidation.error);
+        }
+
+        return this.loadWithFallback(
+            'stream',
+            `cartoon:${episodeId}:${langValidation.value}`,
+            () => this.cartoonParser.getStream(episodeId, langValidation.value, options),
+            options
+        );
+    }
+
+    /**
+     * Get the characters of an anime, with voice actors grouped by dub language.
+     * The whole cast is on the series page, so it is paged as a single upstream page.
+     * @param {string} id - Anime ID
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Characters per page
+     * @param {object} options - Request options ({ signal, cursor })
+     */
+    async getCharacters(id, page = 1, pageSize = 20, options = {}) {
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
+        }
+
+        let source = null;
+        const list = await this.paginate(async () => {
+            source = await this.loadWithFallback(
+                'characters',
+                `list:${id}`,
+                () => this.characterExtractor.extractList(id, options),
+                options
+            );
+            if (!source.success) return source;
+            return { ...source, items: source.characters, pagination: { totalPages: 1, hasNextPage: false } };
+        }, { page, pageSize, cursor: options.cursor });
+
+        return listResponse(list, 'characters', source && source.success
+            ? { id: id, title: source.title, languages: source.languages }
+            : { id: id });
+    }
+
+    /**
+     * Get a character with validation
+     * @param {string} id - Character ID
+     * @param {object} options - Request options ({ signal })
+     */
+    async getCharacter(id, options = {}) {
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
+        }
+
+        return this.loadWithFallback(
+            'characters',
+            `character:${id}`,
+            () => this.characterExtractor.extractCharacter(id, options),
+            options
+        );
+    }
+
+    /**
+     * Get a voice actor with validation
+     * @param {string} id - Voice actor ID
+     * @param {object} options - Request options ({ signal })
+     */
+    async getVoiceActor(id, options = {}) {
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
+        }
+
+        return this.loadWithFallback(
+            'characters',
+            `voice-actor:${id}`,
+            () => this.characterExtractor.extractVoiceActor(id, options),
+            options
+        );
+    }
+
+    /**
+     * Get a complete title (info, seasons, episodes and optionally the first
+     * episode's streams) in one response. The parts are read from and stored
+     * in the info, episodes and stream caches, so the title page is only
+     * fetched when one of them is missing.
+     * @param {string} kind - anime, movie or cartoon
+     * @param {string} id - Title ID
+     * @param {object} options - Request options ({ signal, stream, lang })
+     * @returns {Promise<object>} - Complete title data
+     */
+    async getFull(kind, id, options = {}) {
+        const parsers = {
+            anime: this.animeParser,
+            movie: this.moviesParser,
+            cartoon: this.cartoonParser,
+        };
+
+        const validation = validator.validateId(id);
+        if (!validation.isValid) {
+            return validationError(validation.error);
+        }
+
+        const langValidation = validator.validateLanguage(options.lang || 'hindi');
+        if (!langValidation.isValid) {
+            return validationError(langValidation.error);
+        }
+
+        // Nothing is stored under "full", the fallback only maps timeouts and an open circuit
+        const { signal } = options;
+        return this.loadWithFallback(
+            'full',
+            `${kind}:${id}`,
+            () => raceSignal(parsers[kind].getComplete(id, {
+                signal,
+                stream: !!options.stream,
+                lang: langValidation.value,
+            }), signal),
+            options
+        );
+    }
+
+    /**
+     * Batch lookup: { ids: [...], op } or { operations: [{ op, id }] }, ids may
+     * also be a comma-separated string. Items fail individually, each with the
+     * status and error code its own route would have answered.
+     * @param {object} input - Request body or query
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<object>} - { results, summary } or a validation error
+     */
+    async batch(input = {}, options = {}) {
+        const parsed = parseBatchOperations(input);
+        if (parsed.error) return parsed.error;
+
+        const results = await this.runBatch(parsed.operations, options);
+        const items = parsed.operations.map((operation, index) => ({
+            ...operation,
+            ...toEnvelope(results[index], 200),
+        }));
+        const succeeded = items.filter(item => item.success).length;
+
+        return {
+            success: true,
+            statusCode: 200,
+            data: {
+                results: items,
+                summary: { total: items.length, succeeded, failed: items.length - succeeded },
+            },
+        };
+    }
+
+    /**
+     * Run several info, episodes and movie lookups with bounded concurrency.
+     * Each lookup goes through the same cache and single-flight group as its
+     * own route, and repeated operations are only run once.
+     * @param {Array<object>} operations - { op, id } with op info, episodes or movie
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<Array<object>>} - One result per operation, in order
+     */
+    async runBatch(operations, options = {}) {
+        const lookups = {
+            info: (id) => this.getInfo(id, options),
+            episodes: (id) => this.getEpisodes(id, options),
+            movie: (id) => this.getMovieInfo(id, options),
+        };
+
+        const unique = new Map();
+        for (const operation of operations) {
+            unique.set(`${operation.op}:${operation.id}`, operation);
+        }
+
+        const tasks = [...unique.values()].map(({ op, id }) => async () => {
+            if (!lookups[op]) {
+                return validationError(`Unknown operation "${op}". Use one of: ${Object.keys(lookups).join(', ')}`);
+            }
+            if (options.signal && options.signal.aborted) {
+                return batchTimeout();
+            }
+
+            try {
+                return await lookups[op](id);
+            } catch (error) {
+                if (isAbortError(error)) return batchTimeout();
+                console.error(`[Controller] Batch ${op} ${id} failed:`, error.message);
+                return { success: false, error: error.message };
+            }
+        });
+
+        const results = await runWithConcurrency(tasks, batchConfig.concurrency);
+        const byKey = new Map([...unique.keys()].map((key, index) => [key, results[index]]));
+        return operations.map(({ op, id }) => byKey.get(`${op}:${id}`));
     }
 
     /**
      * Get cartoons with validation
+     * @param {string} type - Cartoon category
+     * @param {string} subCategory - Only items of this sub-category (optional)
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {object} options - Request options ({ signal, cursor, pageSize })
      */
-    async getCartoons(type = 'series', subCategory = null, page = 1) {
+    async getCartoons(type = 'series', subCategory = null, page = 1, options = {}) {
         // Validate type
         const typeValidation = validator.validateCartoonType(type);
-        // Validate pagination
-        const pageValidation = validator.validatePage(page);
+        if (!typeValidation.isValid) {
+            return validationError(typeValidation.error);
+        }
 
-        return this.cartoonParser.extractCartoons(
-            typeValidation.value,
-            subCategory,
-            pageValidation.value
-        );
+        const list = await this.paginate((upstreamPage) => this.loadCached(
+            'category',
+            `cartoon:${typeValidation.value}:${subCategory || 'all'}:${upstreamPage}`,
+            () => this.cartoonParser.extractCartoons(typeValidation.value, subCategory, upstreamPage, options),
+            options
+        ).then(result => (result.success ? { ...result, items: result.cartoons } : result)), { page, pageSize: options.pageSize, cursor: options.cursor });
+
+        return listResponse(list, 'cartoons', { type: typeValidation.value, subCategory: subCategory });
     }
 
     /**
      * Search anime with validation and sanitization
+     * @param {string} query - Search keyword
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Items per page, may span several upstream pages
+     * @param {object} options - Request options ({ signal, cursor })
      */
-    async search(query, page = 1, pageSize = 20) {
+    async search(query, page = 1, pageSize = 20, options = {}) {
         // Validate and sanitize query
         const queryValidation = validator.validateSearchQuery(query);
         if (!queryValidation.isValid) {
-            return { success: false, error: queryValidation.error };
+            return validationError(queryValidation.error);
         }
 
-        // Validate pagination
-        const pageValidation = validator.validatePage(page);
-        const sizeValidation = validator.validatePageSize(pageSize);
+        const list = await this.paginate(
+            (upstreamPage) => this.loadSearchPage(queryValidation.value, upstreamPage, options),
+            { page, pageSize, cursor: options.cursor }
+        );
 
-        try {
-            const searchUrl = `${config.baseUrl}/?s=${encodeURIComponent(queryValidation.value)}`;
-            const html = await fetchHTML(searchUrl);
-            const $ = require('cheerio').load(html);
+        return listResponse(list, 'results', { query: queryValidation.value });
+    }
 
-            const results = [];
-            const seenIds = new Set();
+    /**
+     * Load one upstream page of search results through the category cache
+     * @param {string} query - Validated search query
+     * @param {number} upstreamPage - animesalt.cc results page
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<object>} - List page ({ items, pagination })
+     */
+    loadSearchPage(query, upstreamPage, options = {}) {
+        const keyword = encodeURIComponent(query);
+        return this.loadCached(
+            'category',
+            `search:${query}:${upstreamPage}`,
+            () => this.fetchListingPage(
+                `${config.baseUrl}/${upstreamPage > 1 ? `page/${upstreamPage}/` : ''}?s=${keyword}`,
+                upstreamPage,
+                'article.post:has(a[href*="/series/"]), article.post:has(a[href*="/movies/"])',
+                options
+            ),
+            options
+        ).then(indexTitles);
+    }
 
-            $('article.post:has(a[href*="/series/"]), article.post:has(a[href*="/movies/"])').each((i, el) => {
-                const item = this.parseAnimeItem($, $(el));
-                if (item && item.id && !seenIds.has(item.id)) {
-                    seenIds.add(item.id);
-                    results.push(item);
-                }
-            });
+    /**
+     * Search suggestions for type-ahead. Answered from the title index of home
+     * and list results; only a query the index has no match for goes upstream,
+     * and its first results page is indexed for the keystrokes that follow.
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum number of suggestions
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<object>} - { query, source, suggestions }
+     */
+    async suggest(query, limit, options = {}) {
+        const limitValidation = validator.validateLimit(limit);
 
-            // Pagination
-            const startIndex = (pageValidation.value - 1) * sizeValidation.value;
-            const paginatedResults = results.slice(startIndex, startIndex + sizeValidation.value);
+        // Too short to suggest anything yet, which is normal while typing
+        if (typeof query === 'string' && query.trim().length < validator.rules.searchQuery.minLength) {
+            return { success: true, query: query.trim(), source: 'index', suggestions: [] };
+        }
 
-            return {
-                success: true,
-                query: queryValidation.value,
-                total: results.length,
-                page: pageValidation.value,
-                pageSize: sizeValidation.value,
-                totalPages: Math.ceil(results.length / sizeValidation.value),
-                results: paginatedResults,
-            };
-        } catch (error) {
-            console.error('[Controller] Error searching:', error.message);
-            return { success: false, error: error.message };
+        const queryValidation = validator.validateSearchQuery(query);
+        if (!queryValidation.isValid) {
+            return validationError(queryValidation.error);
         }
+
+        await this.seedTitleIndex();
+        const suggestions = titleIndex.search(queryValidation.value, limitValidation.value);
+        if (suggestions.length > 0) {
+            return { success: true, query: queryValidation.value, source: 'index', suggestions };
+        }
+
+        const results = await this.loadSearchPage(queryValidation.value, 1, options);
+        if (!results.success) return results;
+
+        return {
+            success: true,
+            query: queryValidation.value,
+            source: 'upstream',
+            suggestions: results.items.slice(0, limitValidation.value).map(toSuggestion),
+        };
+    }
+
+    /**
+     * Fill the title index from the home, genre and search results already in
+     * the cache (restored from a snapshot or shared through the cache backend).
+     * Runs once, later results are indexed as they are loaded.
+     * @returns {Promise<void>}
+     */
+    seedTitleIndex() {
+        if (!this.titleIndexSeed) {
+            this.titleIndexSeed = (async () => {
+                const categoryKeys = (await cache.keys('category')) || [];
+                const keys = [
+                    'home:home',
+                    'home:home-lite',
+                    ...categoryKeys.filter(key => /^category:(genre|search):/.test(key)),
+                ];
+
+                for (const key of keys) {
+                    const separator = key.indexOf(':');
+                    const entry = await cache.peek(key.slice(0, separator), key.slice(separator + 1));
+                    if (entry) titleIndex.addResult(entry.value);
+                }
+            })().catch(error => {
+                console.error('[Controller] Error seeding title index:', error.message);
+            });
+        }
+        return this.titleIndexSeed;
     }
 
     /**
      * Get genre anime with validation
+     * @param {string} genre - Genre slug
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Items per page, may span several upstream pages
+     * @param {object} options - Request options ({ signal, cursor })
      */
-    async getGenre(genre, page = 1, pageSize = 20) {
+    async getGenre(genre, page = 1, pageSize = 20, options = {}) {
         // Validate genre
         const genreValidation = validator.validateGenre(genre);
         if (!genreValidation.isValid) {
-            return { success: false, error: genreValidation.error };
+            return validationError(genreValidation.error);
+        }
+
+        const list = await this.listCategory(`genre:${genreValidation.value}`, `category/genre/${genreValidation.value}`, page, pageSize, options);
+        return listResponse(list, 'items', { genre: genreValidation.value });
+    }
+
+    /**
+     * Get all series
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Items per page, may span several upstream pages
+     * @param {object} options - Request options ({ signal, cursor })
+     */
+    async getSeries(page = 1, pageSize = 20, options = {}) {
+        const list = await this.listCategory('series', 'category/post-type/series', page, pageSize, options);
+        return listResponse(list, 'items', { category: 'series' });
+    }
+
+    /**
+     * Get series that are still airing
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Items per page, may span several upstream pages
+     * @param {object} options - Request options ({ signal, cursor })
+     */
+    async getOngoing(page = 1, pageSize = 20, options = {}) {
+        const list = await this.listCategory('ongoing', 'status/ongoing', page, pageSize, options);
+        return listResponse(list, 'items', { category: 'ongoing' });
+    }
+
+    /**
+     * Paginate a WordPress archive listing (/<path>/page/N)
+     * @param {string} key - Cache key prefix
+     * @param {string} path - Archive path without slashes
+     * @param {number} page - Page number
+     * @param {number} pageSize - Items per page
+     * @param {object} options - Request options ({ signal, cursor })
+     * @returns {Promise<object>} - Result of paginate
+     */
+    listCategory(key, path, page, pageSize, options = {}) {
+        return this.paginate((upstreamPage) => this.loadCached(
+            'category',
+            `${key}:${upstreamPage}`,
+            () => this.fetchListingPage(
+                `${config.baseUrl}/${path}${upstreamPage > 1 ? `/page/${upstreamPage}` : ''}`,
+                upstreamPage,
+                'article.post, li.post',
+                options
+            ),
+            options
+        ).then(indexTitles), { page, pageSize, cursor: options.cursor });
+    }
+
+    /**
+     * Get anime by letter with validation
+     * @param {string} letter - Letter (A-Z, 0-9)
+     * @param {number} page - Page number (ignored when a cursor is given)
+     * @param {number} pageSize - Items per page, may span several upstream pages
+     * @param {object} options - Request options ({ signal, cursor })
+     */
+    async getLetterContent(letter, page = 1, pageSize = 20, options = {}) {
+        // Validate letter
+        const letterValidation = validator.validateLetter(letter);
+        if (!letterValidation.isValid) {
+            return validationError(letterValidation.error);
         }
 
-        // Validate pagination
-        const pageValidation = validator.validatePage(page);
-        const sizeValidation = validator.validatePageSize(pageSize);
+        const list = await this.paginate((upstreamPage) => this.loadCached(
+            'category',
+            `letter:${letterValidation.value}:${upstreamPage}`,
+            () => this.fetchLetterPage(letterValidation.value, upstreamPage, options),
+            options
+        ), { page, pageSize, cursor: options.cursor });
 
+        return listResponse(list, 'items', { letter: letterValidation.value });
+    }
+
+    /**
+     * Load one upstream page of a letter listing
+     * @param {string} letter - Validated letter
+     * @param {number} upstreamPage - Upstream page number
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<object>} - { success, items, pagination }
+     */
+    async fetchLetterPage(letter, upstreamPage, options = {}) {
+        const lower = letter.toLowerCase();
+        const suffix = upstreamPage > 1 ? `/page/${upstreamPage}` : '';
+
+        // Try letter-based URL patterns
+        const letterUrls = [
+            `${config.baseUrl}/letter/${lower}${suffix}`,
+            `${config.baseUrl}/?letter=${letter}${upstreamPage > 1 ? `&paged=${upstreamPage}` : ''}`,
+            `${config.baseUrl}/anime-list/${lower}${suffix}`,
+        ];
+
+        for (const url of letterUrls) {
+            const result = await this.fetchListingPage(url, upstreamPage, 'article.post, li.post, .post-item, .anime-item', options);
+            if (result.success && result.items.length > 0) {
+                return result;
+            }
+            // Out of time - no point trying the other patterns
+            if (options.signal && options.signal.aborted) {
+                return result;
+            }
+        }
+
+        // If no content found from letter URLs, filter from home data (a single page)
+        const items = [];
+        if (upstreamPage === 1) {
+            const home = await this.getHome(options);
+            if (home.success && home.animeList) {
+                items.push(...home.animeList.filter(item => {
+                    const firstChar = item.title.charAt(0).toUpperCase();
+                    if (letter === '#') {
+                        return !/^[A-Z]$/i.test(firstChar);
+                    }
+                    return firstChar === letter;
+                }));
+            }
+        }
+
+        return {
+            success: true,
+            items,
+            pagination: { currentPage: upstreamPage, totalPages: 1, hasNextPage: false },
+        };
+    }
+
+    /**
+     * Fetch one upstream listing page and parse its items and pagination links
+     * @param {string} url - Page URL
+     * @param {number} upstreamPage - Upstream page number
+     * @param {string} selector - Item selector
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<object>} - { success, items, pagination }
+     */
+    async fetchListingPage(url, upstreamPage, selector, options = {}) {
         try {
-            const url = `${config.baseUrl}/category/genre/${genreValidation.value}${pageValidation.value > 1 ? `/page/${pageValidation.value}` : ''}`;
-            const html = await fetchHTML(url);
+            const html = await fetchHTML(url, { signal: options.signal });
             const $ = require('cheerio').load(html);
 
             const items = [];
             const seenIds = new Set();
 
-            $('article.post, li.post').each((i, el) => {
+            $(selector).each((i, el) => {
                 const item = this.parseAnimeItem($, $(el));
                 if (item && item.id && !seenIds.has(item.id)) {
                     seenIds.add(item.id);
@@ -330,109 +1276,121 @@ class ApiController {
 
             return {
                 success: true,
-                genre: genreValidation.value,
-                page: pageValidation.value,
-                pageSize: sizeValidation.value,
-                total: items.length,
-                items: items,
+                items,
+                pagination: extractPagination($, upstreamPage),
             };
         } catch (error) {
-            console.error('[Controller] Error getting genre:', error.message);
+            console.error(`[Controller] Error loading ${url}:`, error.message);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Get anime by letter with validation
+     * Assemble one client page from an upstream listing. A page can span several
+     * upstream pages (at most pagination.maxUpstreamPages per request), and the
+     * next/prev cursors record the exact upstream position to continue from.
+     * Without a cursor, page numbers are turned into positions using the size
+     * of the first upstream page.
+     * @param {Function} fetchPage - Loads upstream page N: { success, items, pagination }
+     * @param {object} params - { page, pageSize, cursor } as sent by the client
+     * @returns {Promise<object>} - { success, items, pagination } or the failed upstream result
      */
-    async getLetterContent(letter, page = 1, pageSize = 20) {
-        // Validate letter
-        const letterValidation = validator.validateLetter(letter);
-        if (!letterValidation.isValid) {
-            return { success: false, error: letterValidation.error };
+    async paginate(fetchPage, params = {}) {
+        const pageSize = validator.validatePageSize(params.pageSize).value;
+
+        let position = null;
+        if (params.cursor) {
+            position = decodeCursor(params.cursor);
+            if (!position) {
+                return validationError('Invalid cursor. Pass nextCursor or prevCursor from a previous response unchanged');
+            }
         }
 
-        // Validate pagination
-        const pageValidation = validator.validatePage(page);
-        const sizeValidation = validator.validatePageSize(pageSize);
+        const loaded = new Map();
+        const load = async (upstreamPage) => {
+            if (!loaded.has(upstreamPage)) loaded.set(upstreamPage, await fetchPage(upstreamPage));
+            return loaded.get(upstreamPage);
+        };
 
-        try {
-            // Try letter-based URL pattern
-            const letterUrls = [
-                `${config.baseUrl}/letter/${letterValidation.value.toLowerCase()}`,
-                `${config.baseUrl}/?letter=${letterValidation.value}`,
-                `${config.baseUrl}/anime-list/${letterValidation.value.toLowerCase()}`,
-            ];
-
-            let items = [];
-            let foundContent = false;
-
-            for (const url of letterUrls) {
-                try {
-                    const html = await fetchHTML(url);
-                    const $ = require('cheerio').load(html);
-
-                    const pageItems = [];
-                    const seenIds = new Set();
-
-                    $('article.post, li.post, .post-item, .anime-item').each((i, el) => {
-                        const item = this.parseAnimeItem($, $(el));
-                        if (item && item.id && !seenIds.has(item.id)) {
-                            seenIds.add(item.id);
-                            pageItems.push(item);
-                        }
-                    });
+        let upstreamTotalPages = 0;
+        if (!position) {
+            const first = await load(1);
+            if (!first.success) return first;
 
-                    if (pageItems.length > 0) {
-                        items = pageItems;
-                        foundContent = true;
-                        break;
-                    }
-                } catch (e) {
-                    // Try next URL pattern
-                    continue;
-                }
+            upstreamTotalPages = first.pagination.totalPages;
+            const perPage = Math.max(first.items.length, 1);
+            const offset = (validator.validatePage(params.page).value - 1) * pageSize;
+            position = { p: Math.floor(offset / perPage) + 1, i: offset % perPage, n: perPage };
+        }
+
+        const start = { ...position };
+        const items = [];
+        const upstreamPages = [];
+        let done = false;
+
+        while (items.length < pageSize && upstreamPages.length < paginationConfig.maxUpstreamPages) {
+            // Past the last page the source links to
+            if (upstreamTotalPages && position.p > upstreamTotalPages) {
+                done = true;
+                break;
             }
 
-            // If no content found from letter URLs, filter from home data
-            if (!foundContent) {
-                const home = await this.getHome();
-                if (home.success && home.animeList) {
-                    const letterValue = letterValidation.value;
-                    items = home.animeList.filter(item => {
-                        const firstChar = item.title.charAt(0).toUpperCase();
-                        if (letterValue === '#') {
-                            return !/^[A-Z]$/i.test(firstChar);
-                        }
-                        return firstChar === letterValue;
-                    });
-                }
+            const result = await load(position.p);
+            if (!result.success) {
+                // Nothing to show yet: report the failure, otherwise stop here and let the cursor retry
+                if (items.length === 0) return result;
+                break;
             }
 
-            // Pagination
-            const startIndex = (pageValidation.value - 1) * sizeValidation.value;
-            const paginatedItems = items.slice(startIndex, startIndex + sizeValidation.value);
+            upstreamPages.push(position.p);
+            upstreamTotalPages = Math.max(upstreamTotalPages, result.pagination.totalPages);
 
-            return {
-                success: true,
-                letter: letterValidation.value,
-                page: pageValidation.value,
-                pageSize: sizeValidation.value,
-                total: items.length,
-                totalPages: Math.ceil(items.length / sizeValidation.value),
-                items: paginatedItems,
-            };
-        } catch (error) {
-            console.error('[Controller] Error getting letter content:', error.message);
-            return { success: false, error: error.message };
+            const taken = result.items.slice(position.i, position.i + pageSize - items.length);
+            items.push(...taken);
+            position.i += taken.length;
+
+            if (position.i < result.items.length) break;
+            if (!result.pagination.hasNextPage) {
+                done = true;
+                break;
+            }
+            position = { p: position.p + 1, i: 0, n: position.n };
         }
+
+        const { n } = start;
+        const startOffset = (start.p - 1) * n + start.i;
+        const prevOffset = Math.max(0, startOffset - pageSize);
+        // Exact once the last upstream page was read, estimated from the page count before
+        const lastUpstream = loaded.get(upstreamTotalPages);
+        const totalItems = lastUpstream && lastUpstream.success
+            ? (upstreamTotalPages - 1) * n + lastUpstream.items.length
+            : Math.max(upstreamTotalPages * n, items.length > 0 ? startOffset + items.length : 0);
+
+        return {
+            success: true,
+            items,
+            pagination: {
+                page: Math.floor(startOffset / pageSize) + 1,
+                pageSize,
+                totalPages: Math.max(1, Math.ceil(totalItems / pageSize)),
+                totalItems,
+                hasNextPage: !done,
+                hasPrevPage: startOffset > 0,
+                nextCursor: done ? null : encodeCursor(position),
+                prevCursor: startOffset > 0
+                    ? encodeCursor({ p: Math.floor(prevOffset / n) + 1, i: prevOffset % n, n })
+                    : null,
+                upstreamPages,
+                upstreamTotalPages,
+            },
+        };
     }
 
     /**
      * Get random anime
      */
-    async getRandom() {
-        const home = await this.getHome();
+    async getRandom(options = {}) {
+        const home = await this.getHome(options);
         if (home.success && home.trending && home.trending.length > 0) {
             const randomIndex = Math.floor(Math.random() * home.trending.length);
             const item = home.trending[randomIndex];
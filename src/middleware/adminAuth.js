@@ -0,0 +1,88 @@
+/**
+ * Admin Auth Middleware - Bearer token checks for /api/admin and /api/cron routes
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { createErrorResponse, ErrorCodes } = require('./errorHandler');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+    // Hash first so both buffers have the same length
+    const hashA = crypto.createHash('sha256').update(a).digest();
+    const hashB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Check the request's bearer token against a list of accepted tokens
+ * @param {object} req - Express request
+ * @param {Array<string>} tokens - Accepted tokens (empty values are ignored)
+ * @returns {boolean} - True if the request carries one of the tokens
+ */
+function hasBearerToken(req, tokens) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const provided = match[1].trim();
+    return tokens.filter(Boolean).some(token => safeEqual(provided, token));
+}
+
+/**
+ * Require `Authorization: Bearer <ADMIN_TOKEN>`. Admin routes are refused
+ * entirely while no token is configured.
+ */
+function requireAdmin(req, res, next) {
+    const token = config.admin.token;
+    if (!token) {
+        return createErrorResponse(
+            res,
+            403,
+            'Admin endpoints are disabled',
+            ErrorCodes.FORBIDDEN,
+            'Set ADMIN_TOKEN to enable them.'
+        );
+    }
+
+    if (!hasBearerToken(req, [token])) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="admin"');
+        return createErrorResponse(res, 401, 'Valid admin token required', ErrorCodes.UNAUTHORIZED);
+    }
+
+    next();
+}
+
+/**
+ * Require `Authorization: Bearer <CRON_SECRET>` (what Vercel Cron sends) or the
+ * admin token. Cron routes are refused while neither is configured.
+ */
+function requireCron(req, res, next) {
+    const tokens = [config.prewarm.cronSecret, config.admin.token].filter(Boolean);
+    if (tokens.length === 0) {
+        return createErrorResponse(
+            res,
+            403,
+            'Cron endpoints are disabled',
+            ErrorCodes.FORBIDDEN,
+            'Set CRON_SECRET or ADMIN_TOKEN to enable them.'
+        );
+    }
+
+    if (!hasBearerToken(req, tokens)) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="cron"');
+        return createErrorResponse(res, 401, 'Valid cron secret required', ErrorCodes.UNAUTHORIZED);
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAdmin,
+    requireCron,
+};
@@ -0,0 +1,61 @@
+/**
+ * Deadline Middleware - Attach a request-scoped deadline and cancellation signal
+ */
+
+const config = require('../config');
+const { createDeadline } = require('../utils/deadline');
+
+/**
+ * Get a deadline budget
+ * @param {string} name - Budget name, the `deadline` of a registry route (e.g. 'stream')
+ * @returns {number} - Budget in milliseconds, the default budget for unknown or missing names
+ */
+function getBudget(name) {
+    const deadlines = config.request.deadlines;
+    return deadlines[name] || deadlines.default;
+}
+
+/**
+ * Create the request deadline middleware of a route
+ *
+ * The middleware sets req.deadline and req.signal. The signal aborts when the
+ * budget runs out or when the client disconnects before the response is sent,
+ * so queued, retried and in-flight upstream fetches for the request stop early.
+ * @param {string} budget - Budget name in config.request.deadlines, the default budget when omitted
+ * @returns {Function} - Express middleware
+ */
+function requestDeadline(budget) {
+    const ms = getBudget(budget);
+
+    return (req, res, next) => {
+        const deadline = createDeadline(ms);
+        req.deadline = deadline;
+        req.signal = deadline.signal;
+
+        const cleanup = () => {
+            deadline.clear();
+            res.removeListener('finish', cleanup);
+            res.removeListener('close', onClose);
+        };
+
+        const onClose = () => {
+            // Client went away before we answered - cancel outstanding work
+            if (!res.writableEnded) {
+                deadline.controller.abort(Object.assign(new Error('Client disconnected'), {
+                    name: 'AbortError',
+                    code: 'ABORTED',
+                }));
+            }
+            cleanup();
+        };
+
+        res.on('finish', cleanup);
+        res.on('close', onClose);
+        next();
+    };
+}
+
+module.exports = {
+    requestDeadline,
+    getBudget,
+};
@@ -0,0 +1,85 @@
+/**
+ * Envelope Middleware - Consistent { success, statusCode, data, meta, error } responses for /api/v2
+ *
+ * The v2 routes share their handlers with v1. This middleware rewrites whatever
+ * a handler (or the error handler) sends into the v2 envelope and sets the HTTP
+ * status to match, so v1 responses stay exactly as they were.
+ */
+
+const { ErrorCodes } = require('./errorHandler');
+
+/**
+ * HTTP status for each error code, used when a result only says success:false
+ */
+const ERROR_STATUS = {
+    [ErrorCodes.VALIDATION_ERROR]: 400,
+    [ErrorCodes.INVALID_ID]: 400,
+    [ErrorCodes.MISSING_PARAM]: 400,
+    [ErrorCodes.UNAUTHORIZED]: 401,
+    [ErrorCodes.FORBIDDEN]: 403,
+    [ErrorCodes.NOT_FOUND]: 404,
+    [ErrorCodes.RATE_LIMIT]: 429,
+    [ErrorCodes.SERVER_ERROR]: 500,
+    [ErrorCodes.SCRAPING_ERROR]: 502,
+    [ErrorCodes.UPSTREAM_UNAVAILABLE]: 503,
+    [ErrorCodes.TIMEOUT]: 504,
+};
+
+/**
+ * Convert a v1 response body to the v2 envelope
+ * @param {object} body - v1 response body
+ * @param {number} status - HTTP status the handler set
+ * @returns {object} - v2 envelope
+ */
+function toEnvelope(body, status) {
+    if (!body || typeof body !== 'object') {
+        return { success: true, statusCode: status, data: body === undefined ? null : body, meta: {}, error: null };
+    }
+
+    const { success, statusCode, meta, ...rest } = body;
+
+    if (success === false || status >= 400) {
+        // Results without an error code are failed scrapes of the source site
+        const errorCode = body.errorCode || ErrorCodes.SCRAPING_ERROR;
+        let code = status >= 400 ? status : statusCode;
+        if (!(code >= 400)) code = ERROR_STATUS[errorCode] || 500;
+
+        // v1 errors carry the message in `error` or `message`, sometimes both
+        const message = typeof body.error === 'string' ? body.error : body.message;
+        const error = { errorCode, message: message || 'Request failed' };
+        const details = body.details || (body.error && body.message !== body.error ? body.message : undefined);
+        if (details) error.details = details;
+
+        return { success: false, statusCode: code, data: null, meta: meta || {}, error };
+    }
+
+    // v1 routes either wrap their payload in `data` or return it at the top level
+    const data = success === true && body.data !== undefined && statusCode !== undefined ? body.data : rest;
+    return { success: true, statusCode: status, data, meta: meta || {}, error: null };
+}
+
+/**
+ * v2 envelope middleware. Handlers can set res.locals.skipEnvelope to send a
+ * body as-is (the OpenAPI document).
+ */
+function responseEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.locals.skipEnvelope) {
+            return json(body);
+        }
+
+        const envelope = toEnvelope(body, res.statusCode);
+        res.status(envelope.statusCode);
+        return json(envelope);
+    };
+
+    next();
+}
+
+module.exports = {
+    responseEnvelope,
+    toEnvelope,
+    ERROR_STATUS,
+};
@@ -31,6 +31,9 @@ const ErrorCodes = {
     SCRAPING_ERROR: 'SCRAPING_ERROR',
     INVALID_ID: 'INVALID_ID',
     MISSING_PARAM: 'MISSING_PARAM',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
 };
 
 /**
@@ -115,6 +118,26 @@ function errorHandler(err, req, res, next) {
         );
     }
 
+    if (err.code === 'CIRCUIT_OPEN') {
+        return createErrorResponse(
+            res,
+            503,
+            'Source website unavailable',
+            ErrorCodes.UPSTREAM_UNAVAILABLE,
+            'The upstream circuit breaker is open after repeated failures.'
+        );
+    }
+
+    if (err.code === 'DEADLINE_EXCEEDED') {
+        return createErrorResponse(
+            res,
+            504,
+            'Request timeout',
+            ErrorCodes.TIMEOUT,
+            err.message
+        );
+    }
+
     if (err.code === 'ETIMEDOUT' || err.code === 'ECONNABORTED') {
         return createErrorResponse(
             res,
@@ -0,0 +1,134 @@
+/**
+ * HTTP Cache Middleware - Cache-Control, ETag and Last-Modified for API responses
+ *
+ * Express answers If-None-Match / If-Modified-Since with 304 by itself once these
+ * headers are set (see req.fresh), so this middleware only has to set them.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Create the middleware marking a route as cacheable
+ *
+ * Registry routes carry a `cache` namespace; mountRoutes puts this middleware in
+ * front of their handler so httpCache knows which TTL the response follows.
+ * Routes without it are never cached.
+ * @param {string} namespace - Cache namespace in config.cache
+ * @returns {Function} - Express middleware
+ */
+function cacheNamespace(namespace) {
+    return (req, res, next) => {
+        res.locals.cacheNamespace = namespace;
+        next();
+    };
+}
+
+/**
+ * Build a weak content-hash ETag. meta.cache is left out of the hash: it only
+ * describes the cache entry (age, revalidating, ...) and changes without the
+ * data changing.
+ * @param {object} body - Response body
+ * @returns {string} - ETag header value
+ */
+function createETag(body) {
+    let hashed = body;
+    if (body && body.meta && body.meta.cache) {
+        const { cache, ...meta } = body.meta;
+        hashed = { ...body, meta };
+    }
+
+    const hash = crypto.createHash('sha1').update(JSON.stringify(hashed)).digest('base64url');
+    return `W/"${hash}"`;
+}
+
+/**
+ * Get when the data in a response was scraped
+ * @param {object} body - Response body
+ * @returns {Date|null} - Scrape time or null if unknown
+ */
+function getScrapeTime(body) {
+    const meta = (body && body.meta) || {};
+    const timestamp = (meta.cache && meta.cache.timestamp) || meta.timestamp;
+    const date = timestamp ? new Date(timestamp) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Build the Cache-Control header for a cacheable response
+ * @param {string} namespace - Cache namespace of the route
+ * @param {object} body - Response body
+ * @returns {string} - Cache-Control header value
+ */
+function getCacheControl(namespace, body) {
+    const cacheMeta = (body.meta && body.meta.cache) || {};
+    let maxAge = config.cache[namespace] || 0;
+
+    // Cached data is only fresh until the server-side entry expires
+    if (cacheMeta.expiresAt) {
+        maxAge = new Date(cacheMeta.expiresAt).getTime() - Date.now();
+    }
+    if (cacheMeta.isStale) {
+        maxAge = 0;
+    }
+
+    const seconds = (ms) => Math.max(0, Math.floor(ms / 1000));
+    return [
+        'public',
+        `max-age=${seconds(maxAge)}`,
+        `s-maxage=${seconds(maxAge)}`,
+        `stale-while-revalidate=${seconds(config.staleCache.staleWhileRevalidate)}`,
+        `stale-if-error=${seconds(config.staleCache.staleIfError)}`,
+    ].join(', ');
+}
+
+/**
+ * HTTP cache middleware
+ *
+ * Successful GET responses of cacheable routes get Cache-Control derived from
+ * the resource TTL, a content-hash ETag and Last-Modified from the scrape time.
+ * NOT_FOUND responses are cacheable for the notFound TTL. Everything else is
+ * marked no-store.
+ */
+function httpCache(req, res, next) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        const namespace = res.locals.cacheNamespace;
+        const cacheable = namespace &&
+            (req.method === 'GET' || req.method === 'HEAD') &&
+            res.statusCode < 400 &&
+            body && body.success !== false;
+
+        // Known-missing resources are cached for the short notFound TTL (v1 and v2 error shapes)
+        const errorCode = body && (body.errorCode || (body.error && body.error.errorCode));
+        if (namespace && res.statusCode === 404 && errorCode === 'NOT_FOUND') {
+            const seconds = Math.floor(config.cache.notFound / 1000);
+            res.setHeader('Cache-Control', `public, max-age=${seconds}, s-maxage=${seconds}`);
+            return json(body);
+        }
+
+        if (!cacheable) {
+            res.setHeader('Cache-Control', 'no-store');
+            return json(body);
+        }
+
+        res.setHeader('Cache-Control', getCacheControl(namespace, body));
+        res.setHeader('ETag', createETag(body));
+
+        const scrapedAt = getScrapeTime(body);
+        if (scrapedAt) {
+            res.setHeader('Last-Modified', scrapedAt.toUTCString());
+        }
+
+        return json(body);
+    };
+
+    next();
+}
+
+module.exports = {
+    httpCache,
+    cacheNamespace,
+    createETag,
+};
@@ -0,0 +1,72 @@
+/**
+ * Projection Middleware - Sparse fieldsets for every /api response
+ *
+ * `?fields=` keeps only the listed paths of a successful response, `?exclude=`
+ * drops them. `success`, `statusCode` and `meta` are always kept, and error
+ * responses are sent as-is. The parsed projection is left on req.projection
+ * so handlers can skip loading what will be dropped.
+ */
+
+const { ErrorCodes } = require('./errorHandler');
+const { parseProjection, project } = require('../utils/projection');
+
+// Keys that describe the response rather than the resource
+const RESERVED_KEYS = ['success', 'statusCode', 'meta'];
+
+/**
+ * Apply a projection to a v1 response body
+ * @param {object} body - Response body
+ * @param {object} projection - { fields, exclude } from parseProjection
+ * @returns {object} - Projected body
+ */
+function projectBody(body, projection) {
+    // Payload wrapped in `data` (same rule as the v2 envelope, so paths match in v1 and v2)
+    if (body.success === true && body.statusCode !== undefined && body.data !== undefined) {
+        return { ...body, data: project(body.data, projection) };
+    }
+
+    const reserved = {};
+    const payload = {};
+    for (const [key, value] of Object.entries(body)) {
+        if (RESERVED_KEYS.includes(key)) reserved[key] = value;
+        else payload[key] = value;
+    }
+    return { ...reserved, ...project(payload, projection) };
+}
+
+/**
+ * Response projection middleware
+ */
+function responseProjection(req, res, next) {
+    let projection;
+    try {
+        projection = parseProjection(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            statusCode: 400,
+            error: error.message,
+            errorCode: ErrorCodes.VALIDATION_ERROR,
+        });
+    }
+
+    req.projection = projection;
+    if (!projection) {
+        return next();
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (!body || typeof body !== 'object' || Array.isArray(body) || body.success === false || res.statusCode >= 400) {
+            return json(body);
+        }
+        return json(projectBody(body, projection));
+    };
+
+    next();
+}
+
+module.exports = {
+    responseProjection,
+    projectBody,
+};
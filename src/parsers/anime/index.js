@@ -22,48 +22,43 @@ class AnimeParser extends BaseExtractor {
     /**
      * Get info for an anime
      * @param {string} id - Anime ID
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Anime info
      */
-    async getInfo(id) {
-        return this.infoExtractor.extract(id);
+    async getInfo(id, options = {}) {
+        return this.infoExtractor.extract(id, options);
     }
 
     /**
      * Get episodes for an anime
      * @param {string} id - Anime ID
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Episodes data
      */
-    async getEpisodes(id) {
-        return this.episodeExtractor.extract(id);
+    async getEpisodes(id, options = {}) {
+        return this.episodeExtractor.extract(id, options);
     }
 
     /**
      * Get stream links for an episode
      * @param {string} episodeId - Episode ID (format: id-1x1)
      * @param {string} lang - Preferred language (default: 'hindi')
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Stream data
      */
-    async getStream(episodeId, lang = 'hindi') {
-        return this.streamExtractor.extract(episodeId, lang);
+    async getStream(episodeId, lang = 'hindi', options = {}) {
+        return this.streamExtractor.extract(episodeId, lang, options);
     }
 
     /**
-     * Get complete anime data
+     * Get complete anime data: info, seasons and episodes, read from one
+     * shared fetch of the series page, and optionally the first episode's streams
      * @param {string} id - Anime ID
+     * @param {object} options - Request options ({ signal, stream, lang })
      * @returns {object} - Complete anime data
      */
-    async getComplete(id) {
-        const [info, episodes] = await Promise.all([
-            this.getInfo(id),
-            this.getEpisodes(id),
-        ]);
-
-        return {
-            success: true,
-            id: id,
-            info: info,
-            episodes: episodes,
-        };
+    async getComplete(id, options = {}) {
+        return this.getCompleteTitle(id, { url: this.getContentUrl(id, 'series') }, options);
     }
 }
 
@@ -7,6 +7,10 @@ const InfoExtractor = require('../extractors/infoExtractor');
 const EpisodeExtractor = require('../extractors/episodeExtractor');
 const StreamExtractor = require('../extractors/streamExtractor');
 const config = require('../../config');
+const { extractPagination } = require('../../utils/pagination');
+const { getSeriesIdFromEpisodeId } = require('../../utils/helpers');
+const { Priority } = require('../../utils/request');
+const { checkOutput } = require('../schemas');
 
 /**
  * Cartoon Parser for handling cartoon content
@@ -35,31 +39,135 @@ class CartoonParser extends BaseExtractor {
         return `${this.baseUrl}/cartoon/${contentType}/${id}`;
     }
 
+    /**
+     * Find where a cartoon slug lives. Cartoons are published under
+     * /cartoon/series/, /cartoon/movies/, /series/ or /movies/, so each is
+     * tried in turn and the first page that exists wins. Locations are cached
+     * in the slugs namespace, slugs found nowhere in notFound.
+     * @param {string} id - Cartoon ID
+     * @param {object} options - Request options ({ signal })
+     * @returns {Promise<object>} - { success, path, url, $ } ($ only when the page was just loaded), or a NOT_FOUND result
+     */
+    async locate(id, options = {}) {
+        const cached = await this.getFromCache('slugs', id);
+        if (cached) return cached;
+
+        const notFound = await this.getNotFound('slugs', id);
+        if (notFound) return notFound;
+
+        const urls = {
+            'cartoon/series': this.getContentUrl(id, 'series'),
+            'cartoon/movies': this.getContentUrl(id, 'movies'),
+            'series': `${this.baseUrl}/series/${id}`,
+            'movies': `${this.baseUrl}/movies/${id}`,
+        };
+
+        for (const [path, url] of Object.entries(urls)) {
+            try {
+                const $ = await this.loadPage(url, options);
+                const location = { success: true, path, url };
+                await this.setCache('slugs', id, location, [id]);
+                return { ...location, $ };
+            } catch (error) {
+                if (error.code !== 'NOT_FOUND') throw error;
+            }
+        }
+
+        return this.setNotFound('slugs', id, `Cartoon not found: ${id}`, [id]);
+    }
+
+    /**
+     * Run an extractor against the located page of a cartoon. Results are
+     * cached under cartoon:<id>, apart from /series/ titles of the same slug.
+     * @param {string} id - Cartoon ID
+     * @param {object} extractor - Info or episode extractor
+     * @param {object} options - Request options ({ signal, refresh, page })
+     * @returns {Promise<object>} - Extractor result
+     */
+    async extractLocated(id, extractor, options = {}) {
+        try {
+            const location = await this.locate(id, options);
+            if (!location.success) return location;
+
+            return extractor.extract(id, {
+                ...options,
+                url: location.url,
+                cacheKey: `cartoon:${id}`,
+                // Locating already loaded the page when it was not cached
+                page: options.page || (location.$ && (async () => location.$)),
+            });
+        } catch (error) {
+            console.error(`[Cartoon Parser] Error locating ${id}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Get info for a cartoon
      * @param {string} id - Cartoon ID
+     * @param {object} options - Request options ({ signal, refresh })
      * @returns {object} - Cartoon info
      */
-    async getInfo(id) {
-        return this.infoExtractor.extract(id);
+    async getInfo(id, options = {}) {
+        return this.extractLocated(id, this.infoExtractor, options);
     }
 
     /**
      * Get episodes for a cartoon
      * @param {string} id - Cartoon ID
+     * @param {object} options - Request options ({ signal, refresh })
      * @returns {object} - Episodes data
      */
-    async getEpisodes(id) {
-        return this.episodeExtractor.extract(id);
+    async getEpisodes(id, options = {}) {
+        return this.extractLocated(id, this.episodeExtractor, options);
     }
 
     /**
-     * Get stream links for a cartoon episode
+     * Find the watch page of a cartoon episode. Series episodes have their own
+     * /watch/ page; cartoons published as movies stream from their located page
+     * or the /watch/ page it links to.
      * @param {string} episodeId - Episode ID
+     * @param {object} location - Located cartoon ({ path, url, $ })
+     * @param {object} options - Request options ({ signal, priority })
+     * @returns {Promise<object>} - { url, $ } of the watch page
+     */
+    async loadWatchPage(episodeId, location, options = {}) {
+        if (location.path.endsWith('movies')) {
+            const $ = location.$ || await this.loadPage(location.url, options);
+            const watchPage = await this.findWatchPage(location.url, $, options);
+            if (watchPage) return watchPage;
+        }
+
+        const url = `${this.baseUrl}/watch/${episodeId}`;
+        return { url, $: await this.loadPage(url, options) };
+    }
+
+    /**
+     * Get stream links for a cartoon episode, from the watch page of the located cartoon
+     * @param {string} episodeId - Episode ID (format: cartoon-id-1x1)
+     * @param {string} lang - Preferred language (default: 'hindi')
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Stream data
      */
-    async getStream(episodeId) {
-        return this.streamExtractor.extract(episodeId);
+    async getStream(episodeId, lang = 'hindi', options = {}) {
+        const id = getSeriesIdFromEpisodeId(episodeId);
+        const cacheKey = `cartoon:${episodeId}:${lang}`;
+        const cached = await this.getFromCache('stream', cacheKey);
+        if (cached) return cached;
+
+        try {
+            const location = await this.locate(id, options);
+            if (!location.success) return location;
+
+            // Stream lookups are user-facing, serve them ahead of background fetches
+            const { $ } = await this.loadWatchPage(episodeId, location, { ...options, priority: Priority.HIGH });
+            const result = checkOutput('stream', await this.streamExtractor.extractStream($, episodeId, lang), episodeId);
+            if (result.success) await this.setCache('stream', cacheKey, result, [id]);
+            return result;
+        } catch (error) {
+            console.error(`[Cartoon Parser] Error extracting stream for ${episodeId}:`, error.message);
+            return { success: false, error: error.message, episodeId };
+        }
     }
 
     /**
@@ -67,12 +175,13 @@ class CartoonParser extends BaseExtractor {
      * @param {string} type - Type (series/movies)
      * @param {string} subCategory - Sub-category filter
      * @param {number} page - Page number
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Cartoons data
      */
-    async extractCartoons(type = 'series', subCategory = null, page = 1) {
+    async extractCartoons(type = 'series', subCategory = null, page = 1, options = {}) {
         try {
             const url = `${this.baseUrl}/cartoon/${type}${page > 1 ? `/page/${page}` : ''}`;
-            const html = await this.fetchHTML(url);
+            const html = await this.fetchHTML(url, options);
             const $ = this.cheerio.load(html);
 
             const result = {
@@ -81,6 +190,7 @@ class CartoonParser extends BaseExtractor {
                 subCategory: subCategory,
                 page: page,
                 cartoons: [],
+                pagination: extractPagination($, page),
             };
 
             const seenIds = new Set();
@@ -109,31 +219,35 @@ class CartoonParser extends BaseExtractor {
     }
 
     /**
-     * Get complete cartoon data
+     * Get complete cartoon data: info, seasons and episodes, read from one
+     * shared fetch of the located page, and optionally the first episode's streams
      * @param {string} id - Cartoon ID
+     * @param {object} options - Request options ({ signal, stream, lang })
      * @returns {object} - Complete cartoon data
      */
-    async getComplete(id) {
-        const [info, episodes] = await Promise.all([
-            this.getInfo(id),
-            this.getEpisodes(id),
-        ]);
-
-        return {
-            success: true,
-            id: id,
-            info: info,
-            episodes: episodes,
-        };
+    async getComplete(id, options = {}) {
+        const location = await this.locate(id, { signal: options.signal }).catch(error => ({ success: false, error: error.message }));
+        if (!location.success) return location;
+
+        return this.getCompleteTitle(id, {
+            url: location.url,
+            cacheKey: `cartoon:${id}`,
+            page: location.$ && (async () => location.$),
+        }, options);
     }
 
     /**
      * Fetch HTML (override)
      */
-    async fetchHTML(url) {
+    async fetchHTML(url, options = {}) {
         const { fetchHTML: fetchHTMLUtil } = require('../../utils/request');
-        return fetchHTMLUtil(url);
+        return fetchHTMLUtil(url, options);
     }
+
+    /**
+     * Get Cheerio (override)
+     */
+    cheerio = require('cheerio');
 }
 
 module.exports = CartoonParser;
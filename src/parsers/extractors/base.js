@@ -5,6 +5,7 @@
 const cheerio = require('cheerio');
 const { fetchHTML } = require('../../utils/request');
 const { normalizeUrl, getContentType } = require('../../utils/helpers');
+const { cache } = require('../../utils/cache');
 const config = require('../../config');
 
 /**
@@ -22,13 +23,175 @@ class BaseExtractor {
     /**
      * Load HTML and return Cheerio instance
      * @param {string} url - URL to fetch
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Cheerio instance
      */
-    async loadPage(url) {
-        const html = await fetchHTML(url);
+    async loadPage(url, options = {}) {
+        const html = await fetchHTML(url, options);
         return cheerio.load(html);
     }
 
+    /**
+     * Share one page between several extractors. The returned loader fetches
+     * the page on its first call and hands every later caller the same
+     * Cheerio instance (or the same failure).
+     * @param {string} url - URL to fetch
+     * @returns {Function} - (options) => Promise of the Cheerio instance
+     */
+    sharedPage(url) {
+        let page = null;
+        return (options = {}) => {
+            if (!page) page = this.loadPage(url, options);
+            return page;
+        };
+    }
+
+    /**
+     * Find the watch page of a movie page: the page itself when it carries the
+     * players, otherwise the /watch/ page it links to
+     * @param {string} url - Movie page URL
+     * @param {object} $ - Cheerio instance of the movie page
+     * @param {object} options - Request options ({ signal, priority })
+     * @returns {Promise<object|null>} - { url, $ } of the watch page, null when the page has neither
+     */
+    async findWatchPage(url, $, options = {}) {
+        if ($('.server-grid .server-btn, iframe[src], iframe[data-src], video').length > 0) {
+            return { url, $ };
+        }
+
+        const watchLink = $('a[href*="/watch/"]').first().attr('href');
+        if (!watchLink) return null;
+
+        const watchUrl = normalizeUrl(watchLink);
+        return { url: watchUrl, $: await this.loadPage(watchUrl, options) };
+    }
+
+    /**
+     * Complete title data for the getComplete of the parsers: info, seasons and
+     * episodes read from one shared fetch of the title page, and optionally the
+     * first episode's streams. Needs the parser's infoExtractor and episodeExtractor.
+     * @param {string} id - Title ID
+     * @param {object} location - { url, cacheKey, page }: the title page, the cache key of its
+     *   info and episodes (default: the ID) and, optionally, a loader of the already fetched page
+     * @param {object} options - Request options ({ signal, stream, lang })
+     * @returns {object} - Complete title data
+     */
+    async getCompleteTitle(id, location, options = {}) {
+        const { stream = false, lang = 'hindi', ...requestOptions } = options;
+        const page = location.page || this.sharedPage(location.url);
+        const extractOptions = { ...requestOptions, url: location.url, cacheKey: location.cacheKey, page };
+
+        const [info, episodes] = await Promise.all([
+            this.infoExtractor.extract(id, extractOptions),
+            this.episodeExtractor.extract(id, extractOptions),
+        ]);
+        if (!info.success) return info;
+
+        // Titles without released episodes are still complete
+        const hasEpisodes = episodes.success && episodes.episodes.length > 0;
+        if (!episodes.success && episodes.errorCode !== 'NOT_FOUND') return episodes;
+
+        const { meta, ...infoData } = info;
+        const result = {
+            success: true,
+            id: id,
+            info: infoData,
+            totalSeasons: hasEpisodes ? episodes.totalSeasons : 0,
+            totalEpisodes: hasEpisodes ? episodes.totalEpisodes : 0,
+            seasons: hasEpisodes ? episodes.seasons : [],
+            episodes: hasEpisodes ? episodes.episodes : [],
+        };
+
+        if (stream) {
+            const firstEpisode = result.episodes[0];
+            Object.assign(result, firstEpisode
+                ? this.completeStream(await this.getCompleteStream(id, firstEpisode, lang, { ...requestOptions, page }))
+                : { stream: null, streamError: `No episodes to stream for ${id}` });
+        }
+
+        return result;
+    }
+
+    /**
+     * Stream lookup of getCompleteTitle: the streams of the first episode
+     * @param {string} id - Title ID
+     * @param {object} episode - First episode
+     * @param {string} lang - Preferred language
+     * @param {object} options - Request options ({ signal, page }), page loads the shared title page
+     * @returns {Promise<object>} - Stream result
+     */
+    async getCompleteStream(id, episode, lang, options = {}) {
+        // Episodes stream from their own watch page
+        const { page, ...requestOptions } = options;
+        return this.getStream(episode.id, lang, requestOptions);
+    }
+
+    /**
+     * Stream part of a getComplete result. A failed stream lookup leaves the
+     * rest of the title intact and is reported in streamError.
+     * @param {object} result - Stream extractor result
+     * @returns {object} - { stream } or { stream: null, streamError }
+     */
+    completeStream(result) {
+        if (!result.success) {
+            return { stream: null, streamError: result.error || 'Stream lookup failed' };
+        }
+        const { meta, ...stream } = result;
+        return { stream };
+    }
+
+    /**
+     * Get a fresh value from the shared cache
+     * @param {string} namespace - Cache namespace (info, episodes, stream, ...)
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<*>} - Cached value or null
+     */
+    async getFromCache(namespace, key) {
+        return cache.get(namespace, key);
+    }
+
+    /**
+     * Store a value in the shared cache with the namespace TTL
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {*} data - Value to cache
+     * @param {Array<string>} tags - Tags for group invalidation, e.g. the series ID
+     */
+    async setCache(namespace, key, data, tags = []) {
+        await cache.set(namespace, key, data, { tags });
+    }
+
+    /**
+     * Get a cached "not found" result. Missing pages and pages that parse to
+     * nothing are cached in the notFound namespace so repeated requests for a
+     * bad ID never reach the source.
+     * @param {string} namespace - Namespace of the resource (info, episodes, ...)
+     * @param {string} key - Key within that namespace
+     * @returns {Promise<object|null>} - Cached NOT_FOUND result or null
+     */
+    async getNotFound(namespace, key) {
+        return cache.get('notFound', `${namespace}:${key}`);
+    }
+
+    /**
+     * Build a NOT_FOUND result and cache it with the short notFound TTL
+     * @param {string} namespace - Namespace of the resource (info, episodes, ...)
+     * @param {string} key - Key within that namespace
+     * @param {string} message - Error message
+     * @param {Array<string>} tags - Tags for group invalidation, e.g. the series ID
+     * @returns {Promise<object>} - NOT_FOUND result
+     */
+    async setNotFound(namespace, key, message, tags = []) {
+        const result = {
+            success: false,
+            statusCode: 404,
+            error: message,
+            errorCode: 'NOT_FOUND',
+        };
+        await cache.set('notFound', `${namespace}:${key}`, result, { tags });
+        return result;
+    }
+
     /**
      * Get the URL for a specific content
      * @param {string} id - Content ID
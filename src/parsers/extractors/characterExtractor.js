@@ -0,0 +1,361 @@
+/**
+ * Character Extractor - Extract characters and voice actors, ported from the
+ * legacy extractors/characterExtractor.js
+ */
+
+const BaseExtractor = require('./base');
+const { cleanText, getImageUrl } = require('../../utils/helpers');
+const config = require('../../config');
+const { checkOutput } = require('../schemas');
+
+// Character list sections, first one with entries wins
+const CHARACTER_SELECTORS = [
+    '.character-list .character-item',
+    '.characters .character',
+    '[class*="character"] .post',
+    '.cast-list .cast-item',
+    '.voice-actors .va-item',
+];
+
+const VOICE_ACTOR_SELECTOR = '.voice-actor, .va-item, [class*="voice-actor"]';
+
+// Short language labels used on cast cards
+const LANGUAGE_CODES = {
+    ja: 'japanese',
+    jp: 'japanese',
+    en: 'english',
+    hi: 'hindi',
+    ta: 'tamil',
+    te: 'telugu',
+    ko: 'korean',
+    zh: 'chinese',
+};
+
+/**
+ * Normalize the dub language printed next to a voice actor
+ * @param {string} text - Language label ("Japanese", "Hindi Dub", "JP", ...)
+ * @returns {string} - Lowercase language name, 'japanese' when unlabeled
+ */
+function castLanguage(text) {
+    const label = cleanText(text).toLowerCase();
+    // Unlabeled voice actors are the original cast
+    if (!label) return 'japanese';
+
+    for (const [language, patterns] of Object.entries(config.languagePatterns)) {
+        if (patterns.some(pattern => label.includes(pattern))) return language.toLowerCase();
+    }
+    return LANGUAGE_CODES[label] || label;
+}
+
+/**
+ * Group voice actors by dub language, in order of first appearance
+ * @param {Array<object>} voiceActors - Voice actors with a language field
+ * @returns {object} - { japanese: [...], hindi: [...], ... }
+ */
+function groupByLanguage(voiceActors) {
+    const groups = {};
+    for (const { language, ...voiceActor } of voiceActors) {
+        (groups[language] = groups[language] || []).push(voiceActor);
+    }
+    return groups;
+}
+
+/**
+ * Character Extractor class for character lists, characters and voice actors
+ */
+class CharacterExtractor extends BaseExtractor {
+    /**
+     * Extract the characters of a series, with voice actors grouped by language
+     * @param {string} id - Anime ID
+     * @param {object} options - Request options ({ signal })
+     * @returns {object} - Character list
+     */
+    async extractList(id, options = {}) {
+        const key = `list:${id}`;
+        const cached = await this.getFromCache('characters', key);
+        if (cached) return cached;
+
+        const notFound = await this.getNotFound('characters', key);
+        if (notFound) return notFound;
+
+        try {
+            const url = this.getContentUrl(id, 'series');
+            const $ = await this.loadPage(url, options);
+
+            const title = cleanText($('h1').first().text());
+            if (!title) {
+                return this.setNotFound('characters', key, `Anime not found: ${id}`, [id]);
+            }
+
+            // Titles without a cast section have an empty list, not a missing page
+            const characters = this.parseCharacters($);
+            const languages = [...new Set(characters.flatMap(c => Object.keys(c.voiceActors)))];
+
+            const result = checkOutput('characters', {
+                success: true,
+                id: id,
+                url: url,
+                title: title,
+                totalCharacters: characters.length,
+                languages: languages,
+                characters: characters,
+            }, id);
+            if (result.success) await this.setCache('characters', key, result, [id]);
+            return result;
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return this.setNotFound('characters', key, `Anime not found: ${id}`, [id]);
+            }
+            console.error(`[Character Extractor] Error extracting characters for ${id}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Extract a character page
+     * @param {string} id - Character ID
+     * @param {object} options - Request options ({ signal })
+     * @returns {object} - Character details
+     */
+    async extractCharacter(id, options = {}) {
+        return this.extractDetail('character', id, options, ($) => this.parseCharacterDetail($, id));
+    }
+
+    /**
+     * Extract a voice actor page
+     * @param {string} id - Voice actor ID
+     * @param {object} options - Request options ({ signal })
+     * @returns {object} - Voice actor details
+     */
+    async extractVoiceActor(id, options = {}) {
+        return this.extractDetail('voice-actor', id, options, ($) => this.parseVoiceActorDetail($, id));
+    }
+
+    /**
+     * Load, parse and cache a character or voice actor page
+     * @param {string} type - Path segment, 'character' or 'voice-actor'
+     * @param {string} id - Page ID
+     * @param {object} options - Request options ({ signal })
+     * @param {Function} parse - ($) => parsed details
+     * @returns {object} - Details, or a NOT_FOUND result for missing and empty pages
+     */
+    async extractDetail(type, id, options, parse) {
+        const key = `${type}:${id}`;
+        const label = type === 'character' ? 'Character' : 'Voice actor';
+
+        const cached = await this.getFromCache('characters', key);
+        if (cached) return cached;
+
+        const notFound = await this.getNotFound('characters', key);
+        if (notFound) return notFound;
+
+        try {
+            const $ = await this.loadPage(`${this.baseUrl}/${type}/${id}/`, options);
+            const detail = parse($);
+            if (!detail.name) {
+                return this.setNotFound('characters', key, `${label} not found: ${id}`);
+            }
+
+            const result = { success: true, ...detail };
+            await this.setCache('characters', key, result);
+            return result;
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return this.setNotFound('characters', key, `${label} not found: ${id}`);
+            }
+            console.error(`[Character Extractor] Error extracting ${type} ${id}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Parse the character list of a series page
+     * @param {object} $ - Cheerio instance
+     * @returns {Array<object>} - Characters as { character, voiceActors }
+     */
+    parseCharacters($) {
+        for (const selector of CHARACTER_SELECTORS) {
+            const characters = this.parseBySelector($, selector);
+            if (characters.length > 0) return characters;
+        }
+
+        return this.parseFromContent($);
+    }
+
+    /**
+     * Parse character cards matching a selector
+     * @param {object} $ - Cheerio instance
+     * @param {string} selector - Card selector
+     * @returns {Array<object>} - Characters
+     */
+    parseBySelector($, selector) {
+        const characters = [];
+
+        $(selector).each((i, el) => {
+            const $el = $(el);
+            // Voice actor cards nest name elements of their own
+            const $own = $el.clone();
+            $own.find(VOICE_ACTOR_SELECTOR).remove();
+
+            const name = cleanText($own.find('.name, .character-name, [class*="name"]').first().text());
+            if (!name) return;
+
+            characters.push({
+                character: {
+                    id: this.slugFromUrl($el.find('a[href*="/character/"]').attr('href'), 'character'),
+                    name: name,
+                    poster: getImageUrl($own.find('img')),
+                    cast: cleanText($own.find('.role, .character-role').first().text()) || 'Main',
+                },
+                voiceActors: groupByLanguage(this.parseVoiceActors($, $el.find(VOICE_ACTOR_SELECTOR))),
+            });
+        });
+
+        return characters;
+    }
+
+    /**
+     * Parse characters from a generic "Characters" section
+     * @param {object} $ - Cheerio instance
+     * @returns {Array<object>} - Characters, without voice actor details
+     */
+    parseFromContent($) {
+        const characters = [];
+        const $section = $('h2:contains("Characters"), h3:contains("Characters"), .section:contains("Character")')
+            .closest('section, div');
+
+        $section.find('.post, article, .item').each((i, el) => {
+            const $el = $(el);
+            const name = cleanText($el.find('.entry-title, .title').first().text());
+            if (!name) return;
+
+            const voiceActorName = cleanText($el.find('.va-name, [class*="voice"]').first().text());
+
+            characters.push({
+                character: {
+                    id: this.slugFromUrl($el.find('a').attr('href'), 'character'),
+                    name: name,
+                    poster: getImageUrl($el.find('img')),
+                    cast: 'Main',
+                },
+                voiceActors: voiceActorName
+                    ? { japanese: [{ id: null, name: voiceActorName, poster: null }] }
+                    : {},
+            });
+        });
+
+        return characters;
+    }
+
+    /**
+     * Parse voice actor cards
+     * @param {object} $ - Cheerio instance
+     * @param {object} $cards - Voice actor card elements
+     * @returns {Array<object>} - Voice actors as { id, name, poster, language }
+     */
+    parseVoiceActors($, $cards) {
+        const voiceActors = [];
+
+        $cards.each((i, el) => {
+            const $el = $(el);
+            const name = cleanText($el.find('.name, [class*="name"]').first().text());
+            if (!name) return;
+
+            voiceActors.push({
+                id: this.slugFromUrl($el.find('a').attr('href'), 'voice-actor'),
+                name: name,
+                poster: getImageUrl($el.find('img')),
+                language: castLanguage($el.find('.language, [class*="language"]').first().text()),
+            });
+        });
+
+        return voiceActors;
+    }
+
+    /**
+     * Parse a character page
+     * @param {object} $ - Cheerio instance
+     * @param {string} id - Character ID
+     * @returns {object} - Character details
+     */
+    parseCharacterDetail($, id) {
+        const animeography = [];
+        $('.animeography .item, [class*="animeography"] .item').each((i, el) => {
+            const $el = $(el);
+            const title = cleanText($el.find('.title, .name').first().text());
+            if (!title) return;
+
+            animeography.push({
+                id: this.slugFromUrl($el.find('a').attr('href'), 'series'),
+                title: title,
+                poster: getImageUrl($el.find('img')),
+                role: cleanText($el.find('.role').first().text()),
+                type: cleanText($el.find('.type').first().text()),
+            });
+        });
+
+        return {
+            id: id,
+            name: cleanText($('h1.entry-title, .character-name').first().text()),
+            japaneseName: cleanText($('[lang="ja"]').first().text()),
+            poster: getImageUrl($('.character-image img, .profile img')),
+            about: cleanText($('.character-about, .about, .description').first().text()),
+            voiceActors: groupByLanguage(this.parseVoiceActors($, $(VOICE_ACTOR_SELECTOR))),
+            animeography: animeography,
+        };
+    }
+
+    /**
+     * Parse a voice actor page
+     * @param {object} $ - Cheerio instance
+     * @param {string} id - Voice actor ID
+     * @returns {object} - Voice actor details
+     */
+    parseVoiceActorDetail($, id) {
+        const roles = [];
+        $('.va-roles .item, [class*="roles"] .item').each((i, el) => {
+            const $el = $(el);
+            const title = cleanText($el.find('.anime-title, .title').first().text());
+            if (!title) return;
+
+            roles.push({
+                anime: {
+                    id: this.slugFromUrl($el.find('a[href*="/series/"]').attr('href'), 'series'),
+                    title: title,
+                    poster: getImageUrl($el.find('img')),
+                    type: cleanText($el.find('.type').first().text()),
+                    year: cleanText($el.find('.year').first().text()),
+                },
+                character: {
+                    id: this.slugFromUrl($el.find('a[href*="/character/"]').attr('href'), 'character'),
+                    name: cleanText($el.find('.character-name').first().text()),
+                    poster: getImageUrl($el.find('.character-profile img')),
+                    role: cleanText($el.find('.role-type').first().text()),
+                },
+            });
+        });
+
+        return {
+            id: id,
+            name: cleanText($('h1.entry-title, .va-name').first().text()),
+            japaneseName: cleanText($('[lang="ja"]').first().text()),
+            poster: getImageUrl($('.va-image img, .profile img')),
+            language: castLanguage($('.va-language, .language').first().text()),
+            about: cleanText($('.va-about, .about, .description').first().text()),
+            roles: roles,
+        };
+    }
+
+    /**
+     * Read the slug following a path segment of a link
+     * @param {string} href - Link URL
+     * @param {string} segment - Path segment before the slug (character, voice-actor, series)
+     * @returns {string|null} - Slug or null
+     */
+    slugFromUrl(href, segment) {
+        const match = (href || '').match(new RegExp(`/${segment}/([^/?#]+)`));
+        return match ? match[1] : null;
+    }
+}
+
+module.exports = CharacterExtractor;
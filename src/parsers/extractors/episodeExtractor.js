@@ -5,6 +5,7 @@
 const BaseExtractor = require('./base');
 const { parseEpisodeFormat, normalizeUrl, getPlayerName } = require('../../utils/helpers');
 const config = require('../../config');
+const { checkOutput } = require('../schemas');
 
 /**
  * Episode Extractor class for extracting episode lists
@@ -13,22 +14,41 @@ class EpisodeExtractor extends BaseExtractor {
     /**
      * Extract episodes from anime ID
      * @param {string} id - Anime ID
+     * @param {object} options - Request options ({ signal, refresh, page, url, cacheKey })
      * @returns {object} - Extracted episodes
      */
-    async extract(id) {
-        const cacheKey = `episodes:${id}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+    async extract(id, options = {}) {
+        // Pages found outside /series/ (cartoons) bring their own URL and cache key
+        const url = options.url || this.getContentUrl(id, 'series');
+        const key = options.cacheKey || id;
+
+        // A refresh skips the cache read but still stores the new result
+        if (!options.refresh) {
+            const cached = await this.getFromCache('episodes', key);
+            if (cached) return cached;
+        }
+
+        // Known-missing IDs are answered from the cache, even on refresh
+        const notFound = await this.getNotFound('episodes', key);
+        if (notFound) return notFound;
 
         try {
-            const url = this.getContentUrl(id, 'series');
-            const html = await this.fetchHTML(url);
-            const $ = this.cheerio.load(html);
+            // getComplete passes in the page it shares between extractors
+            const $ = options.page
+                ? await options.page(options)
+                : this.cheerio.load(await this.fetchHTML(url, options));
 
-            const result = await this.extractEpisodes($, id);
-            this.setCache(cacheKey, result, config.cache.episodes);
+            let result = await this.extractEpisodes($, id, url);
+            if (result.success && result.episodes.length === 0) {
+                return this.setNotFound('episodes', key, `No episodes found for ${id}`, [id]);
+            }
+            result = checkOutput('episodes', result, id);
+            if (result.success) await this.setCache('episodes', key, result, [id]);
             return result;
         } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return this.setNotFound('episodes', key, `No episodes found for ${id}`, [id]);
+            }
             console.error(`[Episode Extractor] Error extracting episodes for ${id}:`, error.message);
             return { success: false, error: error.message };
         }
@@ -38,14 +58,15 @@ class EpisodeExtractor extends BaseExtractor {
      * Extract episodes from Cheerio instance
      * @param {object} $ - Cheerio instance
      * @param {string} id - Content ID
+     * @param {string} url - Page URL, its path tells series, movies and cartoons apart
      * @returns {object} - Extracted episodes
      */
-    async extractEpisodes($, id) {
+    async extractEpisodes($, id, url = this.getContentUrl(id, 'series')) {
         try {
             const result = {
                 success: true,
                 id: id,
-                url: this.getContentUrl(id, 'series'),
+                url: url,
                 title: '',
                 totalEpisodes: 0,
                 availableEpisodes: 0,
@@ -293,30 +314,15 @@ class EpisodeExtractor extends BaseExtractor {
     /**
      * Fetch HTML (override to add caching)
      */
-    async fetchHTML(url) {
-        const { fetchHTML: fetchHTMLUtil } = require('../utils/request');
-        return fetchHTMLUtil(url);
-    }
-
-    /**
-     * Get from cache
-     */
-    getFromCache(key) {
-        return null;
-    }
-
-    /**
-     * Set cache
-     */
-    setCache(key, data, ttl) {
+    async fetchHTML(url, options = {}) {
+        const { fetchHTML: fetchHTMLUtil } = require('../../utils/request');
+        return fetchHTMLUtil(url, options);
     }
 
     /**
      * Get Cheerio (override)
      */
-    cheerio = {
-        load: require('cheerio')
-    };
+    cheerio = require('cheerio');
 }
 
 module.exports = EpisodeExtractor;
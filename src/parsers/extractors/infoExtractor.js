@@ -3,8 +3,9 @@
  */
 
 const BaseExtractor = require('./base');
-const { normalizeUrl, getGenreIcon, cleanText } = require('../../utils/helpers');
+const { normalizeUrl, getGenreIcon, cleanText, extractIdFromUrl } = require('../../utils/helpers');
 const config = require('../../config');
+const { checkOutput } = require('../schemas');
 
 /**
  * Info Extractor class for extracting anime/movie details
@@ -13,22 +14,41 @@ class InfoExtractor extends BaseExtractor {
     /**
      * Extract info from anime ID
      * @param {string} id - Anime ID
+     * @param {object} options - Request options ({ signal, refresh, page, url, cacheKey })
      * @returns {object} - Extracted info
      */
-    async extract(id) {
-        const cacheKey = `info:${id}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+    async extract(id, options = {}) {
+        // Pages found outside /series/ (cartoons) bring their own URL and cache key
+        const url = options.url || this.getContentUrl(id, 'series');
+        const key = options.cacheKey || id;
+
+        // A refresh skips the cache read but still stores the new result
+        if (!options.refresh) {
+            const cached = await this.getFromCache('info', key);
+            if (cached) return cached;
+        }
 
-        try {
-            const url = this.getContentUrl(id, 'series');
-            const html = await this.fetchHTML(url);
-            const $ = this.cheerio.load(html);
+        // Known-missing IDs are answered from the cache, even on refresh
+        const notFound = await this.getNotFound('info', key);
+        if (notFound) return notFound;
 
-            const result = await this.extractInfo($, id);
-            this.setCache(cacheKey, result, config.cache.info);
+        try {
+            // getComplete passes in the page it shares between extractors
+            const $ = options.page
+                ? await options.page(options)
+                : this.cheerio.load(await this.fetchHTML(url, options));
+
+            let result = await this.extractInfo($, id, url);
+            if (result.success && !result.title) {
+                return this.setNotFound('info', key, `Anime not found: ${id}`, [id]);
+            }
+            result = checkOutput('info', result, id);
+            if (result.success) await this.setCache('info', key, result, [id]);
             return result;
         } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return this.setNotFound('info', key, `Anime not found: ${id}`, [id]);
+            }
             console.error(`[Info Extractor] Error extracting info for ${id}:`, error.message);
             return { success: false, error: error.message };
         }
@@ -38,14 +58,15 @@ class InfoExtractor extends BaseExtractor {
      * Extract info from Cheerio instance
      * @param {object} $ - Cheerio instance
      * @param {string} id - Content ID
+     * @param {string} url - Page URL, its path tells series, movies and cartoons apart
      * @returns {object} - Extracted info
      */
-    async extractInfo($, id) {
+    async extractInfo($, id, url = this.getContentUrl(id, 'series')) {
         try {
             const result = {
                 success: true,
                 id: id,
-                url: this.getContentUrl(id, 'series'),
+                url: url,
                 title: '',
                 synopsis: '',
                 poster: '',
@@ -271,7 +292,6 @@ class InfoExtractor extends BaseExtractor {
                         const poster = $(post).find('img').attr('data-src') || $(post).find('img').attr('src');
                         
                         if (link && title) {
-                            const { extractIdFromUrl } = require('../utils/helpers');
                             const relatedId = extractIdFromUrl(link);
                             
                             if (relatedId) {
@@ -301,7 +321,6 @@ class InfoExtractor extends BaseExtractor {
                 const link = $(post).find('a[href*="/series/"], a[href*="/movies/"], a[href*="/cartoon/"]').attr('href');
                 if (!link) return;
                 
-                const { extractIdFromUrl } = require('../utils/helpers');
                 const relatedId = extractIdFromUrl(link);
                 
                 if (relatedId && !result.relatedAnime.find(r => r.id === relatedId)) {
@@ -336,32 +355,15 @@ class InfoExtractor extends BaseExtractor {
     /**
      * Fetch HTML (override to add caching)
      */
-    async fetchHTML(url) {
-        const { fetchHTML: fetchHTMLUtil } = require('../utils/request');
-        return fetchHTMLUtil(url);
-    }
-
-    /**
-     * Get from cache
-     */
-    getFromCache(key) {
-        // To be implemented by the controller
-        return null;
-    }
-
-    /**
-     * Set cache
-     */
-    setCache(key, data, ttl) {
-        // To be implemented by the controller
+    async fetchHTML(url, options = {}) {
+        const { fetchHTML: fetchHTMLUtil } = require('../../utils/request');
+        return fetchHTMLUtil(url, options);
     }
 
     /**
      * Get Cheerio (override)
      */
-    cheerio = {
-        load: require('cheerio')
-    };
+    cheerio = require('cheerio');
 }
 
 module.exports = InfoExtractor;
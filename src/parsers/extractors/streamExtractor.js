@@ -3,8 +3,10 @@
  */
 
 const BaseExtractor = require('./base');
-const { normalizeUrl, getPlayerName, getSmartPlayerName, isRegionalContent, detectLanguage, cleanText } = require('../../utils/helpers');
+const { normalizeUrl, getPlayerName, getSmartPlayerName, isRegionalContent, detectLanguage, cleanText, getSeriesIdFromEpisodeId, extractIdFromUrl, extractQuality, extractHost } = require('../../utils/helpers');
 const config = require('../../config');
+const { Priority } = require('../../utils/request');
+const { checkOutput } = require('../schemas');
 
 /**
  * Stream Extractor class for extracting stream URLs and download links
@@ -14,20 +16,22 @@ class StreamExtractor extends BaseExtractor {
      * Extract stream data from episode ID
      * @param {string} episodeId - Episode ID (format: id-1x1)
      * @param {string} preferredLang - Preferred language (default: 'hindi')
+     * @param {object} options - Request options ({ signal })
      * @returns {object} - Extracted stream data
      */
-    async extract(episodeId, preferredLang = 'hindi') {
-        const cacheKey = `stream:${episodeId}:${preferredLang}`;
-        const cached = this.getFromCache(cacheKey);
+    async extract(episodeId, preferredLang = 'hindi', options = {}) {
+        const cacheKey = `${episodeId}:${preferredLang}`;
+        const cached = await this.getFromCache('stream', cacheKey);
         if (cached) return cached;
 
         try {
             const url = `${this.baseUrl}/watch/${episodeId}`;
-            const html = await this.fetchHTML(url);
+            // Stream lookups are user-facing, serve them ahead of background fetches
+            const html = await this.fetchHTML(url, { ...options, priority: Priority.HIGH });
             const $ = this.cheerio.load(html);
 
-            const result = await this.extractStream($, episodeId, preferredLang);
-            this.setCache(cacheKey, result, config.cache.stream);
+            const result = checkOutput('stream', await this.extractStream($, episodeId, preferredLang), episodeId);
+            if (result.success) await this.setCache('stream', cacheKey, result, [getSeriesIdFromEpisodeId(episodeId)]);
             return result;
         } catch (error) {
             console.error(`[Stream Extractor] Error extracting stream for ${episodeId}:`, error.message);
@@ -406,7 +410,6 @@ class StreamExtractor extends BaseExtractor {
             const text = $(el).text().trim();
 
             if (href) {
-                const { extractQuality, extractHost } = require('../utils/helpers');
                 const quality = extractQuality(text);
                 const host = extractHost(href);
 
@@ -541,7 +544,6 @@ class StreamExtractor extends BaseExtractor {
         const epInfo = this.parseEpisodeFormat($el.text());
 
         // Extract ID from URL
-        const { extractIdFromUrl } = require('../utils/helpers');
         const id = extractIdFromUrl(link);
 
         if (!id) return null;
@@ -614,30 +616,15 @@ class StreamExtractor extends BaseExtractor {
     /**
      * Fetch HTML (override to add caching)
      */
-    async fetchHTML(url) {
-        const { fetchHTML: fetchHTMLUtil } = require('../utils/request');
-        return fetchHTMLUtil(url);
-    }
-
-    /**
-     * Get from cache
-     */
-    getFromCache(key) {
-        return null;
-    }
-
-    /**
-     * Set cache
-     */
-    setCache(key, data, ttl) {
+    async fetchHTML(url, options = {}) {
+        const { fetchHTML: fetchHTMLUtil } = require('../../utils/request');
+        return fetchHTMLUtil(url, options);
     }
 
     /**
      * Get Cheerio (override)
      */
-    cheerio = {
-        load: require('cheerio')
-    };
+    cheerio = require('cheerio');
 }
 
 module.exports = StreamExtractor;
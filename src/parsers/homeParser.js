@@ -19,9 +19,11 @@
  * }
  */
 
-const { fetchHTML } = require('../utils/request');
+const { fetchHTML, Priority } = require('../utils/request');
 const config = require('../../config/config');
-const { extractIdFromUrl, normalizeUrl, sanitizeText, delay } = require('../utils/helpers');
+const { extractIdFromUrl, normalizeUrl, sanitizeText } = require('../utils/helpers');
+const { abortableDelay, isAbortError } = require('../utils/deadline');
+const { checkOutput } = require('./schemas');
 
 /**
  * HomeParser class for extracting all home page data
@@ -36,13 +38,17 @@ class HomeParser {
 
     /**
      * Extract all homepage data with original structure
+     * @param {object} options - Request options ({ signal, backdrops }), backdrops: false
+     *   builds spotlight backdrops from the posters instead of fetching watch pages
      */
-    async extract() {
+    async extract(options = {}) {
         const startTime = Date.now();
         const globalItems = new Map();
+        const { signal } = options;
+        const backdrops = options.backdrops !== false;
 
         try {
-            const html = await this.fetchWithRetry(this.baseUrl);
+            const html = await this.fetchWithRetry(this.baseUrl, this.maxRetries, { signal });
             const $ = require('cheerio').load(html);
 
             // Extract all sections using the original methodology
@@ -62,7 +68,7 @@ class HomeParser {
             
             // Extract spotlights (mix of trending + other content with background images)
             // Now fetches watch pages in parallel to get HD backdrop images
-            const spotlights = await this.extractSpotlights($, trending, mostWatchedSeries, mostWatchedMovies);
+            const spotlights = await this.extractSpotlights($, trending, mostWatchedSeries, mostWatchedMovies, signal, backdrops);
             
             // Extract filters
             const filters = {
@@ -87,13 +93,15 @@ class HomeParser {
 
             const processingTime = Date.now() - startTime;
 
-            return {
+            // Only live data is checked, the fallback data below is sample data
+            return checkOutput('home', {
                 success: true,
                 meta: {
                     source: 'animesalt.cc',
                     timestamp: new Date().toISOString(),
                     itemCount: globalItems.size,
                     processingTime: `${processingTime}ms`,
+                    ...(!backdrops && { backdrops: 'poster' }),
                 },
                 spotlights: spotlights,
                 trending: trending,
@@ -105,7 +113,7 @@ class HomeParser {
                 newAnimeArrivals: newAnimeArrivals,
                 justInCartoonSeries: justInCartoonSeries,
                 filters: filters,
-            };
+            });
         } catch (error) {
             console.error('[HomeParser] Error:', error.message);
             
@@ -268,19 +276,19 @@ class HomeParser {
     /**
      * Fetch HTML with retry logic
      */
-    async fetchWithRetry(url, retries = this.maxRetries) {
+    async fetchWithRetry(url, retries = this.maxRetries, options = {}) {
         for (let attempt = 1; attempt <= retries; attempt++) {
             try {
-                const html = await fetchHTML(url);
+                const html = await fetchHTML(url, options);
                 if (html && html.length > 100) {
                     return html;
                 }
                 throw new Error('Empty or invalid response');
             } catch (error) {
-                if (attempt === retries) {
+                if (attempt === retries || isAbortError(error) || error.code === 'FIXTURE_NOT_FOUND') {
                     throw error;
                 }
-                await delay(attempt * this.requestDelay);
+                await abortableDelay(attempt * this.requestDelay, options.signal);
             }
         }
     }
@@ -672,8 +680,9 @@ class HomeParser {
      * Fetches each spotlight item's watch page to extract the HD backdrop from <div class="bghd">
      * Shows exactly 10 items mixed from trending (series + movies)
      * Movies at positions 2 and 6, rest randomized
+     * With fetchBackdrops false, every item gets the poster-based backdrop
      */
-    async extractSpotlights($, trending, mostWatchedSeries, mostWatchedMovies) {
+    async extractSpotlights($, trending, mostWatchedSeries, mostWatchedMovies, signal = null, fetchBackdrops = true) {
         const items = [];
         
         // Mix from trending (series + movies mixed together)
@@ -794,15 +803,16 @@ class HomeParser {
         
         // Fetch watch pages for all spotlight items in parallel to get backdrop images
         const backdropPromises = preliminaryItems.map(async (item) => {
+            if (!fetchBackdrops) {
+                return { index: item.index, backdrop: this.getPosterBackdropHtml(item) };
+            }
             try {
-                const backdropHtml = await this.fetchBackdropFromWatchPage(item.link, item.title);
+                const backdropHtml = await this.fetchBackdropFromWatchPage(item.link, item.title, signal);
                 return { index: item.index, backdrop: backdropHtml };
             } catch (error) {
                 console.error(`[HomeParser] Failed to fetch backdrop for ${item.title}:`, error.message);
                 // Fallback to poster-based backdrop if watch page fetch fails
-                const backdropUrl = this.getBackdropUrl(item.poster);
-                const fallbackHtml = `<div class="bghd"><img class="TPostBg lazyloaded" data-src="${backdropUrl}" alt="${sanitizeText(item.title)}" src="${backdropUrl}"></div>`;
-                return { index: item.index, backdrop: fallbackHtml };
+                return { index: item.index, backdrop: this.getPosterBackdropHtml(item) };
             }
         });
         
@@ -1059,12 +1069,13 @@ class HomeParser {
      * Fetch the HD backdrop from a watch page by extracting <div class="bghd"> content
      * @param {string} detailUrl - URL of the series/movie detail page
      * @param {string} title - Title of the item for fallback
+     * @param {AbortSignal} signal - Cancels the fetch when the request is abandoned
      * @returns {Promise<string>} - HTML string of the backdrop div with wrapper
      */
-    async fetchBackdropFromWatchPage(detailUrl, title) {
+    async fetchBackdropFromWatchPage(detailUrl, title, signal = null) {
         try {
-            // Fetch the detail page
-            const html = await this.fetchWithRetry(detailUrl);
+            // Fetch the detail page in the background lane so user-facing requests go first
+            const html = await this.fetchWithRetry(detailUrl, this.maxRetries, { priority: Priority.LOW, signal });
             const $ = require('cheerio').load(html);
             
             // Find the bghd div element
@@ -1110,6 +1121,16 @@ class HomeParser {
         return url;
     }
 
+    /**
+     * Build the backdrop div from an item's poster
+     * @param {object} item - Spotlight item with title and poster
+     * @returns {string} - HTML string of the backdrop div
+     */
+    getPosterBackdropHtml(item) {
+        const backdropUrl = this.getBackdropUrl(item.poster);
+        return `<div class="bghd"><img class="TPostBg lazyloaded" data-src="${backdropUrl}" alt="${sanitizeText(item.title)}" src="${backdropUrl}"></div>`;
+    }
+
     /**
      * Convert poster URL to backdrop URL (w1280)
      */
@@ -10,6 +10,7 @@ const BaseExtractor = require('./extractors/base');
 const InfoExtractor = require('./extractors/infoExtractor');
 const EpisodeExtractor = require('./extractors/episodeExtractor');
 const StreamExtractor = require('./extractors/streamExtractor');
+const CharacterExtractor = require('./extractors/characterExtractor');
 
 module.exports = {
     AnimeParser,
@@ -20,4 +21,5 @@ module.exports = {
     InfoExtractor,
     EpisodeExtractor,
     StreamExtractor,
+    CharacterExtractor,
 };
@@ -4,9 +4,13 @@
 
 const BaseExtractor = require('../extractors/base');
 const InfoExtractor = require('../extractors/infoExtractor');
+const EpisodeExtractor = require('../extractors/episodeExtractor');
 const StreamExtractor = require('../extractors/streamExtractor');
-const { normalizeUrl, parseReleaseYear } = require('../../utils/helpers');
+const { normalizeUrl, parseReleaseYear, extractIdFromUrl } = require('../../utils/helpers');
 const config = require('../../config');
+const { checkOutput } = require('../schemas');
+const { extractPagination } = require('../../utils/pagination');
+const { Priority } = require('../../utils/request');
 
 /**
  * Movies Parser for handling movie content
@@ -15,27 +19,32 @@ class MoviesParser extends BaseExtractor {
     constructor() {
         super(config.baseUrl);
         this.infoExtractor = new InfoExtractor();
+        this.episodeExtractor = new EpisodeExtractor();
         this.streamExtractor = new StreamExtractor();
     }
 
     /**
      * Get movies list with pagination
-     * @param {number} page - Page number
-     * @param {number} pageSize - Items per page
+     * @param {number} page - Upstream page number
+     * @param {number|null} pageSize - Items to keep, null for the whole upstream page
+     * @param {object} options - Request options ({ signal, refresh })
      * @returns {object} - Movies data
      */
-    async getMovies(page = 1, pageSize = 20) {
-        const cacheKey = `movies:${page}:${pageSize}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+    async getMovies(page = 1, pageSize = 20, options = {}) {
+        const cacheKey = `${page}:${pageSize || 'all'}`;
+        // A refresh skips the cache read but still stores the new result
+        if (!options.refresh) {
+            const cached = await this.getFromCache('movies', cacheKey);
+            if (cached) return cached;
+        }
 
         try {
             const url = `${this.baseUrl}/movies/${page > 1 ? `page/${page}` : ''}`;
-            const html = await this.fetchHTML(url);
+            const html = await this.fetchHTML(url, options);
             const $ = this.cheerio.load(html);
 
-            const result = await this.extractMovies($, page, pageSize);
-            this.setCache(cacheKey, result, config.cache.movies);
+            const result = checkOutput('movies', await this.extractMovies($, page, pageSize), `page ${page}`);
+            if (result.success) await this.setCache('movies', cacheKey, result);
             return result;
         } catch (error) {
             console.error(`[Movies Parser] Error extracting movies:`, error.message);
@@ -46,18 +55,21 @@ class MoviesParser extends BaseExtractor {
     /**
      * Extract movies from page
      * @param {object} $ - Cheerio instance
-     * @param {number} page - Page number
-     * @param {number} pageSize - Items per page
-     * @returns {object} - Movies data
+     * @param {number} page - Upstream page number
+     * @param {number|null} limit - Items to keep, null for the whole page
+     * @returns {object} - Movies data, totalPages as linked from the page
      */
-    async extractMovies($, page = 1, pageSize = 20) {
+    async extractMovies($, page = 1, limit = 20) {
+        const pageSize = limit || Infinity;
+        const pagination = extractPagination($, page);
         const result = {
             success: true,
             page: page,
-            pageSize: pageSize,
+            pageSize: 0,
             totalMovies: 0,
-            totalPages: 0,
+            totalPages: pagination.totalPages,
             movies: [],
+            pagination,
         };
 
         const seenIds = new Set();
@@ -90,7 +102,6 @@ class MoviesParser extends BaseExtractor {
 
                 if (!link) return;
 
-                const { extractIdFromUrl } = require('../utils/helpers');
                 const id = extractIdFromUrl(link);
 
                 if (!id || seenIds.has(id)) return;
@@ -126,7 +137,6 @@ class MoviesParser extends BaseExtractor {
                 const href = $(el).attr('href');
                 if (!href) return;
 
-                const { extractIdFromUrl } = require('../utils/helpers');
                 const id = extractIdFromUrl(href);
 
                 if (!id || seenIds.has(id)) return;
@@ -153,69 +163,126 @@ class MoviesParser extends BaseExtractor {
         }
 
         result.totalMovies = result.movies.length;
-        result.totalPages = Math.ceil(result.movies.length / pageSize) || 1;
+        result.pageSize = limit || result.movies.length;
 
         return result;
     }
 
+    /**
+     * Where a movie's info lives: its /movies/ page, cached apart from
+     * /series/ titles of the same slug
+     * @param {string} id - Movie ID
+     * @returns {object} - { url, cacheKey }
+     */
+    getLocation(id) {
+        return { url: this.getContentUrl(id, 'movies'), cacheKey: `movie:${id}` };
+    }
+
     /**
      * Get info for a movie
      * @param {string} id - Movie ID
+     * @param {object} options - Request options ({ signal, refresh, page })
      * @returns {object} - Movie info
      */
-    async getInfo(id) {
-        return this.infoExtractor.extract(id);
+    async getInfo(id, options = {}) {
+        return this.infoExtractor.extract(id, { ...options, ...this.getLocation(id) });
     }
 
     /**
-     * Get stream links for a movie
+     * Find the watch page of a movie. Movie pages usually carry the players
+     * themselves; otherwise their /watch/ link is followed, and movies without
+     * a page fall back to /watch/<id>-1x1.
+     * @param {string} id - Movie ID
+     * @param {object} options - Request options ({ signal, page }), page loads the
+     *   movie page when it is shared with the info lookup
+     * @returns {Promise<object>} - { url, $ } of the watch page
+     */
+    async loadWatchPage(id, options = {}) {
+        // Stream lookups are user-facing, serve them ahead of background fetches
+        const { page, ...fetchOptions } = options;
+        const requestOptions = { ...fetchOptions, priority: Priority.HIGH };
+        const movieUrl = this.getContentUrl(id, 'movies');
+
+        let $;
+        try {
+            $ = page ? await page(requestOptions) : await this.loadPage(movieUrl, requestOptions);
+        } catch (error) {
+            if (error.code !== 'NOT_FOUND') throw error;
+        }
+
+        const watchPage = $ && await this.findWatchPage(movieUrl, $, requestOptions);
+        if (watchPage) return watchPage;
+
+        const url = `${this.baseUrl}/watch/${id}-1x1`;
+        return { url, $: await this.loadPage(url, requestOptions) };
+    }
+
+    /**
+     * Get stream links for a movie, from its resolved watch page
      * @param {string} movieId - Movie ID
+     * @param {string} lang - Preferred language (default: 'hindi')
+     * @param {object} options - Request options ({ signal, page })
      * @returns {object} - Stream data
      */
-    async getStream(movieId) {
-        const episodeId = `${movieId}-1x1`;
-        return this.streamExtractor.extract(episodeId);
+    async getStream(movieId, lang = 'hindi', options = {}) {
+        const cacheKey = `movie:${movieId}:${lang}`;
+        const cached = await this.getFromCache('stream', cacheKey);
+        if (cached) return cached;
+
+        const notFound = await this.getNotFound('stream', `movie:${movieId}`);
+        if (notFound) return notFound;
+
+        try {
+            const { url, $ } = await this.loadWatchPage(movieId, options);
+            // A movie has no series or episode, it is identified by its own ID and watch page
+            const { episodeId, animeId, episode, ...stream } = await this.streamExtractor.extractStream($, movieId, lang);
+            const result = checkOutput('movieStream', { ...stream, movieId, watchUrl: url }, movieId);
+            if (result.success) await this.setCache('stream', cacheKey, result, [movieId]);
+            return result;
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return this.setNotFound('stream', `movie:${movieId}`, `Movie not found: ${movieId}`, [movieId]);
+            }
+            console.error(`[Movies Parser] Error extracting stream for ${movieId}:`, error.message);
+            return { success: false, error: error.message, movieId };
+        }
     }
 
     /**
-     * Get complete movie data
+     * Get complete movie data: info, its single episode and, optionally, the
+     * stream sources, all read from one fetch of the movie page
      * @param {string} id - Movie ID
+     * @param {object} options - Request options ({ signal, stream, lang })
      * @returns {object} - Complete movie data
      */
-    async getComplete(id) {
-        const [info, stream] = await Promise.all([
-            this.getInfo(id),
-            this.getStream(id),
-        ]);
-
-        return {
-            success: true,
-            id: id,
-            info: info,
-            stream: stream,
-        };
+    async getComplete(id, options = {}) {
+        return this.getCompleteTitle(id, this.getLocation(id), options);
     }
 
     /**
-     * Fetch HTML (override)
+     * Stream lookup of getCompleteTitle: movies stream from the movie page itself
+     * @param {string} id - Movie ID
+     * @param {object} episode - The movie's only episode
+     * @param {string} lang - Preferred language
+     * @param {object} options - Request options ({ signal, page })
+     * @returns {Promise<object>} - Stream result
      */
-    async fetchHTML(url) {
-        const { fetchHTML: fetchHTMLUtil } = require('../../utils/request');
-        return fetchHTMLUtil(url);
+    async getCompleteStream(id, episode, lang, options = {}) {
+        return this.getStream(id, lang, options);
     }
 
     /**
-     * Get from cache
+     * Fetch HTML (override)
      */
-    getFromCache(key) {
-        return null;
+    async fetchHTML(url, options = {}) {
+        const { fetchHTML: fetchHTMLUtil } = require('../../utils/request');
+        return fetchHTMLUtil(url, options);
     }
 
     /**
-     * Set cache
+     * Get Cheerio (override)
      */
-    setCache(key, data, ttl) {
-    }
+    cheerio = require('cheerio');
 }
 
 module.exports = MoviesParser;
@@ -0,0 +1,233 @@
+/**
+ * Parser Output Schemas - JSON Schemas for what the parsers return
+ *
+ * Selector changes on animesalt.cc rarely make a parser throw; they turn fields
+ * into empty strings or lists instead. These schemas describe the successful
+ * output of each parser, with minLength/minItems on the fields that must never
+ * be empty, so such regressions show up in the logs and in the contract tests
+ * (test-contracts.js) instead of in user reports.
+ *
+ * Only success results are checked. Fields not listed here are allowed.
+ */
+
+const { validate } = require('../utils/schemaValidator');
+const config = require('../config');
+
+const MAX_LOGGED_VIOLATIONS = 5;
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const integer = { type: 'integer', minimum: 0 };
+const nullableInteger = { type: ['integer', 'null'] };
+const id = { type: 'string', pattern: '^[a-zA-Z0-9-]+$' };
+const url = { type: 'string', minLength: 1, pattern: '^https?://' };
+
+/**
+ * Shorthand for an array schema
+ * @param {object} items - Item schema
+ * @param {number} minItems - Minimum number of items
+ * @returns {object} - Array schema
+ */
+function arrayOf(items, minItems = 0) {
+    return { type: 'array', items, ...(minItems > 0 && { minItems }) };
+}
+
+/**
+ * Shorthand for an object schema
+ * @param {object} properties - Property schemas
+ * @param {Array<string>} required - Required property names (default: all)
+ * @returns {object} - Object schema
+ */
+function object(properties, required = Object.keys(properties)) {
+    return { type: 'object', properties, required };
+}
+
+// Title card as listed on home, related and recommendation lists
+const homeItem = object({
+    id: id,
+    title: nonEmptyString,
+    poster: url,
+    type: { type: 'string', enum: ['series', 'movie', 'cartoon'] },
+    year: nullableInteger,
+    link: url,
+});
+
+const relatedItem = object({
+    id: id,
+    title: nonEmptyString,
+    url: url,
+    type: { type: 'string', enum: ['SERIES', 'MOVIE', 'CARTOON'] },
+});
+
+// Sources, download links and languages shared by episode and movie streams
+const streamFields = {
+    sources: arrayOf(object({
+        player: nonEmptyString,
+        url: url,
+        isSub: boolean,
+        isDub: boolean,
+    })),
+    downloadLinks: arrayOf(object({ url: url })),
+    servers: { type: 'array' },
+    language: object({
+        preferred: nonEmptyString,
+        resolved: { type: ['string', 'null'] },
+        available: { type: 'object' },
+    }, ['preferred', 'available']),
+};
+
+const schemas = {
+    home: object({
+        success: { type: 'boolean', enum: [true] },
+        meta: object({ source: string, timestamp: string, itemCount: integer }),
+        spotlights: arrayOf(homeItem),
+        trending: arrayOf(homeItem, 1),
+        mostWatchedSeries: arrayOf(homeItem, 1),
+        mostWatchedMovies: arrayOf(homeItem, 1),
+        freshDrops: arrayOf(homeItem),
+        upcomingEpisodes: arrayOf(homeItem),
+        onAirSeries: arrayOf(homeItem),
+        newAnimeArrivals: arrayOf(homeItem),
+        justInCartoonSeries: arrayOf(homeItem),
+        filters: object({
+            genres: arrayOf(nonEmptyString, 1),
+            languages: arrayOf(nonEmptyString, 1),
+            letters: arrayOf(nonEmptyString, 1),
+            networks: arrayOf(nonEmptyString, 1),
+        }),
+    }),
+
+    info: object({
+        success: { type: 'boolean', enum: [true] },
+        id: id,
+        url: url,
+        title: nonEmptyString,
+        synopsis: string,
+        poster: url,
+        backgroundImage: string,
+        type: { type: 'string', enum: ['SERIES', 'MOVIE', 'CARTOON'] },
+        genres: arrayOf(object({ id: nonEmptyString, name: nonEmptyString })),
+        languages: arrayOf(object({ code: nonEmptyString, name: nonEmptyString })),
+        totalEpisodes: integer,
+        totalSeasons: integer,
+        seasons: { type: 'array' },
+        relatedAnime: arrayOf(relatedItem),
+    }, ['success', 'id', 'url', 'title', 'poster', 'type', 'genres', 'languages', 'relatedAnime']),
+
+    episodes: object({
+        success: { type: 'boolean', enum: [true] },
+        id: id,
+        url: url,
+        title: nonEmptyString,
+        totalEpisodes: integer,
+        totalSeasons: integer,
+        seasons: arrayOf(object({
+            season: integer,
+            episodeCount: integer,
+            isSubOnly: boolean,
+        })),
+        episodes: arrayOf(object({
+            id: id,
+            number: nullableInteger,
+            season: integer,
+            title: nonEmptyString,
+            url: url,
+            hasDub: boolean,
+            hasSub: boolean,
+        }), 1),
+    }),
+
+    stream: object({
+        success: { type: 'boolean', enum: [true] },
+        episodeId: id,
+        animeId: string,
+        episode: nullableInteger,
+        ...streamFields,
+    }, ['success', 'episodeId', 'sources', 'downloadLinks', 'servers', 'language']),
+
+    movieStream: object({
+        success: { type: 'boolean', enum: [true] },
+        movieId: id,
+        watchUrl: url,
+        ...streamFields,
+    }, ['success', 'movieId', 'watchUrl', 'sources', 'downloadLinks', 'servers', 'language']),
+
+    movies: object({
+        success: { type: 'boolean', enum: [true] },
+        page: { type: 'integer', minimum: 1 },
+        pageSize: { type: 'integer', minimum: 1 },
+        totalMovies: integer,
+        totalPages: integer,
+        movies: arrayOf(object({
+            id: id,
+            title: nonEmptyString,
+            poster: url,
+            url: url,
+            type: { type: 'string', enum: ['MOVIE'] },
+        }), 1),
+    }),
+
+    characters: object({
+        success: { type: 'boolean', enum: [true] },
+        id: id,
+        url: url,
+        title: nonEmptyString,
+        totalCharacters: integer,
+        languages: arrayOf(nonEmptyString),
+        characters: arrayOf(object({
+            character: object({ name: nonEmptyString, cast: nonEmptyString }),
+            voiceActors: { type: 'object' },
+        })),
+    }),
+};
+
+/**
+ * Validate a parser result against its schema
+ * @param {string} name - Schema name (home, info, episodes, stream, movieStream, movies, characters)
+ * @param {object} result - Parser result
+ * @returns {Array<object>} - Violations as { path, message }, empty when valid or not a success result
+ */
+function validateOutput(name, result) {
+    if (!result || result.success !== true) return [];
+    return validate(schemas[name], result);
+}
+
+/**
+ * Check a parser result according to config.outputValidation.mode:
+ * - warn:   log violations and return the result unchanged
+ * - strict: log violations and return a SCRAPING_ERROR result instead, so the
+ *           broken output is never cached or served
+ * - off:    return the result unchanged
+ * @param {string} name - Schema name
+ * @param {object} result - Parser result
+ * @param {string} key - What was parsed, for the log line (e.g. the anime ID)
+ * @returns {object} - The result, or a failure result in strict mode
+ */
+function checkOutput(name, result, key = '') {
+    const mode = config.outputValidation.mode;
+    if (mode === 'off') return result;
+
+    const violations = validateOutput(name, result);
+    if (violations.length === 0) return result;
+
+    const shown = violations.slice(0, MAX_LOGGED_VIOLATIONS).map(v => `${v.path} ${v.message}`);
+    const more = violations.length > shown.length ? ` (+${violations.length - shown.length} more)` : '';
+    console.error(`[Schema] ${name}${key ? ` ${key}` : ''} output has ${violations.length} violation(s): ${shown.join('; ')}${more}`);
+
+    if (mode !== 'strict') return result;
+
+    return {
+        success: false,
+        statusCode: 502,
+        error: `Parser output for ${name} failed schema validation`,
+        errorCode: 'SCRAPING_ERROR',
+        details: shown,
+    };
+}
+
+module.exports = {
+    schemas,
+    validateOutput,
+    checkOutput,
+};
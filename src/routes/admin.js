@@ -0,0 +1,77 @@
+/**
+ * Admin Routes - Cache inspection, invalidation and pre-warming under /api/admin
+ *
+ * Paths and the admin token requirement are declared in the route registry.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Create admin route handlers, keyed by registry operationId
+ * @param {object} controller - ApiController instance shared with the API routes
+ * @param {object} warmer - CacheWarmer instance
+ * @returns {object} - Route handlers
+ */
+function createAdminHandlers(controller, warmer) {
+    const handlers = {};
+
+    // Cache stats
+    handlers.getCacheStats = (req, res) => {
+        res.json({
+            success: true,
+            statusCode: 200,
+            data: controller.getCacheStats(),
+        });
+    };
+
+    // List keys: ?namespace=info&prefix=naruto&limit=100
+    handlers.listCacheKeys = asyncHandler(async (req, res) => {
+        const result = await controller.listCacheKeys(req.query);
+        res.status(result.statusCode).json(result);
+    });
+
+    // Inspect one entry: ?namespace=info&key=naruto-shippuden[&value=true]
+    handlers.getCacheEntry = asyncHandler(async (req, res) => {
+        const { namespace, key, value } = req.query;
+        if (!namespace || !key) {
+            return res.status(400).json({
+                success: false,
+                statusCode: 400,
+                error: 'namespace and key parameters required',
+                errorCode: 'MISSING_PARAM',
+            });
+        }
+        const result = await controller.inspectCacheEntry(namespace, key, value === 'true');
+        res.status(result.statusCode).json(result);
+    });
+
+    // Invalidate: { namespace, key } | { prefix } | { tag } | { namespace } | { all: true }
+    handlers.invalidateCache = asyncHandler(async (req, res) => {
+        const result = await controller.invalidateCache(req.body || {});
+        res.status(result.statusCode).json(result);
+    });
+
+    // Pre-warmer status and last run report
+    handlers.getPrewarmStatus = (req, res) => {
+        res.json({
+            success: true,
+            statusCode: 200,
+            data: warmer.getStatus(),
+        });
+    };
+
+    // Start a pre-warm run and wait for its report, { "force": true } refreshes everything
+    handlers.runPrewarm = asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const report = await warmer.run({ trigger: 'admin', force: body.force === true, signal: req.signal });
+        res.json({
+            success: true,
+            statusCode: 200,
+            data: report,
+        });
+    });
+
+    return handlers;
+}
+
+module.exports = createAdminHandlers;
@@ -1,39 +1,118 @@
 /**
- * API Routes - Define all API endpoints with standardized error handling
+ * API Routes - Handlers for every API endpoint, with standardized error handling
+ *
+ * Paths, parameters and auth requirements live in the route registry; this
+ * file only implements the handlers, keyed by the registry's operationId.
  */
 
 const express = require('express');
 const ApiController = require('../controllers/apiController');
 const { asyncHandler, sendSuccess } = require('../middleware/errorHandler');
+const { httpCache } = require('../middleware/httpCache');
+const { responseEnvelope } = require('../middleware/envelope');
+const { responseProjection } = require('../middleware/projection');
+const createAdminHandlers = require('./admin');
+const { routes, mountRoutes } = require('./registry');
+const { requireAdmin, requireCron } = require('../middleware/adminAuth');
+const { CacheWarmer } = require('../utils/prewarmer');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { isRequested } = require('../utils/projection');
+const { getRequestStats, getCircuitState } = require('../utils/request');
 const config = require('../../config/config');
+const { prewarm: prewarmConfig } = require('../config');
+
+/**
+ * Build an episode ID from a title ID and an episode query parameter
+ * @param {string} id - Title ID
+ * @param {string} episode - Episode number or SxE (e.g. 5 or 2x5), defaults to 1x1
+ * @returns {string} - Episode ID (format: id-1x1)
+ */
+function buildEpisodeId(id, episode) {
+    if (!episode) {
+        return `${id}-1x1`;
+    }
+    if (episode.includes('?')) {
+        episode = episode.split('?')[0];
+    }
+    return /(\d+)x(\d+)/i.test(episode) ? `${id}-${episode}` : `${id}-1x${episode}`;
+}
 
 /**
  * Create API router
+ * @param {object} controller - ApiController, shared with the GraphQL router (optional)
  */
-function createApiRouter() {
+function createApiRouter(controller = new ApiController()) {
     const router = express.Router();
-    const controller = new ApiController();
+    const warmer = new CacheWarmer(controller, prewarmConfig);
+
+    // Long-running servers warm on a timer; on Vercel the cron route drives it
+    if (prewarmConfig.enabled && process.env.VERCEL !== '1') {
+        warmer.start();
+    }
+
+    // v2: the same routes, every response in the { success, statusCode, data, meta, error }
+    // envelope with a matching HTTP status. Mounted first so its paths skip the v1 middleware.
+    const v2 = express.Router();
+    v2.use(httpCache);
+    v2.use(responseEnvelope);
+    v2.use(responseProjection);
+    router.use('/v2', v2);
+
+    // Cache-Control, ETag and Last-Modified, with 304s for conditional requests
+    router.use(httpCache);
+
+    // ?fields= and ?exclude= sparse fieldsets
+    router.use(responseProjection);
+
+    // Cache administration, requires ADMIN_TOKEN
+    const handlers = createAdminHandlers(controller, warmer);
+
+    // Cache pre-warm trigger for Vercel Cron (GET with the CRON_SECRET bearer token)
+    handlers.cronPrewarm = asyncHandler(async (req, res) => {
+        const report = await warmer.run({ trigger: 'cron', force: req.query.force === 'true', signal: req.signal });
+        res.json({
+            success: true,
+            statusCode: 200,
+            data: report,
+        });
+    });
+
+    // OpenAPI documents, built once from the route registry
+    const openApiDocument = buildOpenApiDocument(routes);
+    const openApiDocumentV2 = buildOpenApiDocument(routes, { version: 2 });
+    handlers.getOpenApi = (req, res) => {
+        res.json(openApiDocument);
+    };
 
     // Health check
-    router.get('/health', (req, res) => {
+    handlers.getHealth = (req, res) => {
         res.json({
             status: 'ok',
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
             version: '5.0.0',
+            upstream: getCircuitState().state,
             cacheStats: controller.getCacheStats(),
+            requestStats: getRequestStats(),
         });
-    });
+    };
 
     // Home page - uses HomeParser for comprehensive extraction
-    router.get('/home', asyncHandler(async (req, res) => {
-        const result = await controller.getHome();
+    handlers.getHome = asyncHandler(async (req, res) => {
+        // Spotlight backdrops cost a watch page fetch each, skip them when they are dropped anyway
+        const backdrops = isRequested(req.projection, 'spotlights.backdrop');
+        const result = await controller.getHome({ signal: req.signal, backdrops });
         res.json(result);
-    }));
+    });
 
     // Info endpoint with validation
-    router.get('/info', asyncHandler(async (req, res) => {
-        const { id } = req.query;
+    handlers.getInfo = asyncHandler(async (req, res) => {
+        const { id, ids } = req.query;
+        // ?ids=a,b,c answers like POST /batch
+        if (ids !== undefined) {
+            const result = await controller.batch({ ids, op: 'info' }, { signal: req.signal });
+            return res.status(result.statusCode).json(result);
+        }
         if (!id) {
             return res.status(400).json({ 
                 success: false, 
@@ -42,12 +121,18 @@ function createApiRouter() {
                 errorCode: 'MISSING_PARAM'
             });
         }
-        const result = await controller.getInfo(id);
-        res.json(result);
-    }));
+        const result = await controller.getInfo(id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    // Batch lookups: { "ids": [...] } or { "operations": [{ "op": "episodes", "id": "..." }] }
+    handlers.batchLookup = asyncHandler(async (req, res) => {
+        const result = await controller.batch(req.body || {}, { signal: req.signal });
+        res.status(result.statusCode).json(result);
+    });
 
     // Episodes endpoint with validation
-    router.get('/episodes', asyncHandler(async (req, res) => {
+    handlers.getEpisodes = asyncHandler(async (req, res) => {
         const { id } = req.query;
         if (!id) {
             return res.status(400).json({ 
@@ -57,12 +142,12 @@ function createApiRouter() {
                 errorCode: 'MISSING_PARAM'
             });
         }
-        const result = await controller.getEpisodes(id);
-        res.json(result);
-    }));
+        const result = await controller.getEpisodes(id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
 
     // Stream endpoint with validation
-    router.get('/stream', asyncHandler(async (req, res) => {
+    handlers.getStream = asyncHandler(async (req, res) => {
         let { id, episode, lang } = req.query;
 
         if (!id) {
@@ -79,59 +164,108 @@ function createApiRouter() {
             id = id.split('?')[0];
         }
 
-        // Build episode ID
-        let episodeId;
-        if (episode) {
-            if (episode.includes('?')) {
-                episode = episode.split('?')[0];
-            }
-            const epMatch = episode.match(/(\d+)x(\d+)/i);
-            if (epMatch) {
-                episodeId = `${id}-${episode}`;
-            } else {
-                episodeId = `${id}-1x${episode}`;
-            }
-        } else {
-            episodeId = `${id}-1x1`;
-        }
+        const episodeId = buildEpisodeId(id, episode);
 
         // Default language is Hindi if not specified
         const preferredLang = (lang || 'hindi').toLowerCase();
 
-        const result = await controller.getStream(episodeId, preferredLang);
+        const result = await controller.getStream(episodeId, preferredLang, { signal: req.signal });
         res.json(result);
-    }));
+    });
 
     // Movies endpoints with validation
-    router.get('/movies', asyncHandler(async (req, res) => {
-        const { page, pageSize } = req.query;
+    handlers.listMovies = asyncHandler(async (req, res) => {
+        const { page, pageSize, cursor } = req.query;
         const result = await controller.getMovies(
             parseInt(page) || 1,
-            parseInt(pageSize) || 20
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
         );
         res.json(result);
-    }));
+    });
 
-    router.get('/movies/:id', asyncHandler(async (req, res) => {
+    handlers.getMovie = asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const result = await controller.getMovieInfo(id);
+        const result = await controller.getMovieInfo(id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    handlers.getMovieStream = asyncHandler(async (req, res) => {
+        const { lang, server } = req.query;
+        const result = await controller.getMovieStream(req.params.id, lang, server, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    // Complete titles: info, seasons, episodes and optionally the first episode's streams
+    const getFull = (kind) => asyncHandler(async (req, res) => {
+        const { stream, lang } = req.query;
+        const result = await controller.getFull(kind, req.params.id, {
+            signal: req.signal,
+            stream: stream === 'true',
+            lang,
+        });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    handlers.getAnimeFull = getFull('anime');
+    handlers.getMovieFull = getFull('movie');
+    handlers.getCartoonFull = getFull('cartoon');
+
+    // Cartoon titles, wherever their slug is published
+    handlers.getCartoon = asyncHandler(async (req, res) => {
+        const result = await controller.getCartoonInfo(req.params.id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    handlers.getCartoonEpisodes = asyncHandler(async (req, res) => {
+        const result = await controller.getCartoonEpisodes(req.params.id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    handlers.getCartoonStream = asyncHandler(async (req, res) => {
+        const { episode, lang } = req.query;
+        const episodeId = buildEpisodeId(req.params.id, episode);
+        const result = await controller.getCartoonStream(episodeId, (lang || 'hindi').toLowerCase(), { signal: req.signal });
         res.json(result);
-    }));
+    });
+
+    // Characters of a title, with voice actors grouped by dub language
+    handlers.getCharacters = asyncHandler(async (req, res) => {
+        const { page, pageSize, cursor } = req.query;
+        const result = await controller.getCharacters(
+            req.params.id,
+            parseInt(page) || 1,
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
+        );
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    handlers.getCharacter = asyncHandler(async (req, res) => {
+        const result = await controller.getCharacter(req.params.id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
+
+    handlers.getVoiceActor = asyncHandler(async (req, res) => {
+        const result = await controller.getVoiceActor(req.params.id, { signal: req.signal });
+        res.status(result.statusCode === 404 ? 404 : 200).json(result);
+    });
 
     // Cartoon endpoints with validation
-    router.get('/cartoon', asyncHandler(async (req, res) => {
-        const { type, subCategory, page } = req.query;
+    handlers.listCartoons = asyncHandler(async (req, res) => {
+        const { type, subCategory, page, pageSize, cursor } = req.query;
         const result = await controller.getCartoons(
             type || 'series',
             subCategory || null,
-            parseInt(page) || 1
+            parseInt(page) || 1,
+            { signal: req.signal, cursor, pageSize: parseInt(pageSize) || 20 }
         );
         res.json(result);
-    }));
+    });
 
     // Search endpoint with validation and sanitization
-    router.get('/search', asyncHandler(async (req, res) => {
-        const { keyword, q, page, pageSize } = req.query;
+    handlers.search = asyncHandler(async (req, res) => {
+        const { keyword, q, page, pageSize, cursor } = req.query;
         const query = keyword || q;
         if (!query) {
             return res.status(400).json({ 
@@ -144,44 +278,63 @@ function createApiRouter() {
         const result = await controller.search(
             query,
             parseInt(page) || 1,
-            parseInt(pageSize) || 20
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
         );
         res.json(result);
-    }));
+    });
+
+    // Type-ahead suggestions from the local title index
+    handlers.suggest = asyncHandler(async (req, res) => {
+        const { q, keyword, limit } = req.query;
+        const query = q !== undefined ? q : keyword;
+        if (query === undefined) {
+            return res.status(400).json({
+                success: false,
+                statusCode: 400,
+                error: 'Search keyword required',
+                errorCode: 'MISSING_PARAM'
+            });
+        }
+        const result = await controller.suggest(query, limit, { signal: req.signal });
+        res.json(result);
+    });
 
     // Genre endpoint with validation
-    router.get('/genre/:genre', asyncHandler(async (req, res) => {
+    handlers.getGenre = asyncHandler(async (req, res) => {
         const { genre } = req.params;
-        const { page, pageSize } = req.query;
+        const { page, pageSize, cursor } = req.query;
         const result = await controller.getGenre(
             genre,
             parseInt(page) || 1,
-            parseInt(pageSize) || 20
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
         );
         res.json(result);
-    }));
+    });
 
     // Letter endpoint - properly implemented to fetch content by letter
-    router.get('/letter/:letter', asyncHandler(async (req, res) => {
+    handlers.getLetter = asyncHandler(async (req, res) => {
         const { letter } = req.params;
-        const { page, pageSize } = req.query;
+        const { page, pageSize, cursor } = req.query;
         const result = await controller.getLetterContent(
             letter,
             parseInt(page) || 1,
-            parseInt(pageSize) || 20
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
         );
         res.json(result);
-    }));
+    });
 
     // Random endpoint
-    router.get('/random', asyncHandler(async (req, res) => {
-        const result = await controller.getRandom();
+    handlers.getRandom = asyncHandler(async (req, res) => {
+        const result = await controller.getRandom({ signal: req.signal });
         res.json(result);
-    }));
+    });
 
     // Additional endpoints - fixed to use proper response structure
-    router.get('/top-ten', asyncHandler(async (req, res) => {
-        const home = await controller.getHome();
+    handlers.getTopTen = asyncHandler(async (req, res) => {
+        const home = await controller.getHome({ signal: req.signal });
         if (!home.success) {
             return res.json({
                 success: false,
@@ -196,10 +349,10 @@ function createApiRouter() {
                 movies: (home.movies || []).slice(0, 10),
             },
         });
-    }));
+    });
 
-    router.get('/schedule', asyncHandler(async (req, res) => {
-        const home = await controller.getHome();
+    handlers.getSchedule = asyncHandler(async (req, res) => {
+        const home = await controller.getHome({ signal: req.signal });
         if (!home.success) {
             return res.json({
                 success: false,
@@ -213,9 +366,9 @@ function createApiRouter() {
                 upcoming: home.upcomingEpisodes || [],
             },
         });
-    }));
+    });
 
-    router.get('/servers', asyncHandler(async (req, res) => {
+    handlers.getServers = asyncHandler(async (req, res) => {
         const { id, episode, lang } = req.query;
         if (!id) {
             return res.status(400).json({ 
@@ -227,7 +380,7 @@ function createApiRouter() {
         }
         const episodeId = episode ? `${id}-episode-${episode}` : `${id}-episode-1`;
         const preferredLang = (lang || 'hindi').toLowerCase();
-        const result = await controller.getStream(episodeId, preferredLang);
+        const result = await controller.getStream(episodeId, preferredLang, { signal: req.signal });
         res.json({
             success: true,
             statusCode: 200,
@@ -238,9 +391,9 @@ function createApiRouter() {
                 downloadLinks: result.downloadLinks,
             },
         });
-    }));
+    });
 
-    router.get('/categories', (req, res) => {
+    handlers.listCategories = (req, res) => {
         res.json({
             success: true,
             statusCode: 200,
@@ -252,10 +405,10 @@ function createApiRouter() {
                 },
             },
         });
-    });
+    };
 
-    router.get('/genres', asyncHandler(async (req, res) => {
-        const home = await controller.getHome();
+    handlers.listGenres = asyncHandler(async (req, res) => {
+        const home = await controller.getHome({ signal: req.signal });
         res.json({
             success: true,
             statusCode: 200,
@@ -264,10 +417,10 @@ function createApiRouter() {
                 validGenres: config.validGenres,
             },
         });
-    }));
+    });
 
-    router.get('/networks', asyncHandler(async (req, res) => {
-        const home = await controller.getHome();
+    handlers.listNetworks = asyncHandler(async (req, res) => {
+        const home = await controller.getHome({ signal: req.signal });
         res.json({
             success: true,
             statusCode: 200,
@@ -275,10 +428,10 @@ function createApiRouter() {
                 networks: home.networks || [],
             },
         });
-    }));
+    });
 
-    router.get('/languages', asyncHandler(async (req, res) => {
-        const home = await controller.getHome();
+    handlers.listLanguages = asyncHandler(async (req, res) => {
+        const home = await controller.getHome({ signal: req.signal });
         res.json({
             success: true,
             statusCode: 200,
@@ -286,10 +439,10 @@ function createApiRouter() {
                 languages: home.languages || [],
             },
         });
-    }));
+    });
 
-    router.get('/letters', asyncHandler(async (req, res) => {
-        const home = await controller.getHome();
+    handlers.listLetters = asyncHandler(async (req, res) => {
+        const home = await controller.getHome({ signal: req.signal });
         res.json({
             success: true,
             statusCode: 200,
@@ -297,54 +450,57 @@ function createApiRouter() {
                 letters: home.letters || [],
             },
         });
-    }));
+    });
 
-    router.get('/series', asyncHandler(async (req, res) => {
-        const { page, pageSize } = req.query;
-        const result = await controller.getGenre(
-            'series',
+    handlers.listSeries = asyncHandler(async (req, res) => {
+        const { page, pageSize, cursor } = req.query;
+        const result = await controller.getSeries(
             parseInt(page) || 1,
-            parseInt(pageSize) || 20
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
         );
         res.json(result);
-    }));
+    });
 
-    router.get('/ongoing', asyncHandler(async (req, res) => {
-        const { page, pageSize } = req.query;
-        const result = await controller.getGenre(
-            'ongoing',
+    handlers.listOngoing = asyncHandler(async (req, res) => {
+        const { page, pageSize, cursor } = req.query;
+        const result = await controller.getOngoing(
             parseInt(page) || 1,
-            parseInt(pageSize) || 20
+            parseInt(pageSize) || 20,
+            { signal: req.signal, cursor }
         );
         res.json(result);
-    }));
+    });
 
     // Test endpoint - connectivity check
-    router.get('/test', asyncHandler(async (req, res) => {
+    handlers.testConnection = asyncHandler(async (req, res) => {
         try {
             const { fetchHTML } = require('../utils/request');
-            await fetchHTML(config.baseUrl);
+            await fetchHTML(config.baseUrl, { signal: req.signal });
             res.json({
                 success: true,
                 statusCode: 200,
                 data: {
                     message: 'Successfully connected to animesalt.cc',
                     timestamp: new Date().toISOString(),
+                    circuitBreaker: getCircuitState(),
                 },
             });
         } catch (error) {
-            res.status(500).json({
+            const circuitOpen = error.code === 'CIRCUIT_OPEN';
+            res.status(circuitOpen ? 503 : 500).json({
                 success: false,
-                statusCode: 500,
+                statusCode: circuitOpen ? 503 : 500,
                 error: 'Failed to connect to animesalt.cc',
-                errorCode: 'SCRAPING_ERROR',
+                errorCode: circuitOpen ? 'UPSTREAM_UNAVAILABLE' : 'SCRAPING_ERROR',
                 details: error.message,
+                circuitBreaker: getCircuitState(),
             });
         }
-    }));
+    });
 
     // Test links endpoint - sample API testing
-    router.get('/test-links', asyncHandler(async (req, res) => {
+    handlers.testLinks = asyncHandler(async (req, res) => {
         const { sampleSize } = req.query;
         const testSize = Math.min(parseInt(sampleSize) || 50, 100);
 
@@ -367,7 +523,7 @@ function createApiRouter() {
         for (const id of testIdsSampled) {
             results.tested++;
             try {
-                const info = await controller.getInfo(id);
+                const info = await controller.getInfo(id, { signal: req.signal });
                 if (info.success) {
                     results.passed++;
                     results.results.push({
@@ -410,7 +566,17 @@ function createApiRouter() {
                 errors: results.errors.slice(0, 10),
             },
         });
-    }));
+    });
+
+    const auth = { admin: requireAdmin, cron: requireCron };
+    mountRoutes(router, handlers, auth);
+    mountRoutes(v2, {
+        ...handlers,
+        getOpenApi: (req, res) => {
+            res.locals.skipEnvelope = true;
+            res.json(openApiDocumentV2);
+        },
+    }, auth);
 
     return router;
 }
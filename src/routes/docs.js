@@ -4,6 +4,7 @@
 
 const express = require('express');
 const config = require('../config');
+const { routes, listEndpoints } = require('./registry');
 
 /**
  * Create documentation router
@@ -20,19 +21,9 @@ function createDocsRouter() {
             baseUrl: '/api',
             docs: '/docs',
             message: 'Visit /docs for complete API documentation',
-            endpoints: [
-                { method: 'GET', path: '/api/home', description: 'Get homepage data' },
-                { method: 'GET', path: '/api/info', description: 'Get anime info' },
-                { method: 'GET', path: '/api/episodes', description: 'Get episode list' },
-                { method: 'GET', path: '/api/stream', description: 'Get stream links' },
-                { method: 'GET', path: '/api/movies', description: 'Get movies list' },
-                { method: 'GET', path: '/api/movies/:id', description: 'Get movie info' },
-                { method: 'GET', path: '/api/cartoon', description: 'Get cartoons' },
-                { method: 'GET', path: '/api/search', description: 'Search anime' },
-                { method: 'GET', path: '/api/genre/:genre', description: 'Get anime by genre' },
-                { method: 'GET', path: '/api/random', description: 'Get random anime' },
-                { method: 'GET', path: '/api/test-links', description: 'Test API with sample links' },
-            ],
+            endpoints: listEndpoints(),
+            openapi: '/api/openapi.json',
+            graphql: '/graphql',
         });
     });
 
@@ -45,6 +36,74 @@ function createDocsRouter() {
     return router;
 }
 
+/**
+ * Escape text for HTML, turning `code` spans into <code> elements
+ * @param {string} text - Plain text
+ * @returns {string} - HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+/**
+ * Describe a parameter's accepted values
+ * @param {object} schema - Parameter schema
+ * @returns {string} - Short description, e.g. "1-10, default 1"
+ */
+function describeSchema(schema) {
+    const parts = [];
+    if (schema.enum) parts.push(schema.enum.length > 10 ? `${schema.enum.length} values` : schema.enum.join(' | '));
+    if (schema.minimum !== undefined && schema.maximum !== undefined) parts.push(`${schema.minimum}-${schema.maximum}`);
+    if (schema.minLength !== undefined) parts.push(`${schema.minLength}-${schema.maxLength} chars`);
+    if (schema.pattern) parts.push(`pattern ${schema.pattern}`);
+    if (schema.default !== undefined) parts.push(`default ${schema.default}`);
+    return parts.join(', ');
+}
+
+/**
+ * Render one registry route as an endpoint block
+ * @param {object} route - Registry entry
+ * @returns {string} - HTML
+ */
+function renderEndpoint(route) {
+    const params = (route.parameters || []).map(param => `
+                    <div class="param">
+                        <span class="param-name">${escapeHtml(param.name)}</span>
+                        <span class="param-type">${param.in} ${param.schema.type}</span>
+                        ${param.required ? '<span class="param-required">required</span>' : ''}
+                        <span style="color: #a0a0a0; margin-left: 10px;">${escapeHtml(param.description)}${param.example !== undefined ? `. Example: <code>${escapeHtml(param.example)}</code>` : ''}${describeSchema(param.schema) ? ` (${escapeHtml(describeSchema(param.schema))})` : ''}</span>
+                    </div>`).join('');
+
+    return `
+            <div class="endpoint">
+                <span class="method">${route.method.toUpperCase()}</span>
+                <span class="path">/api${escapeHtml(route.path)}</span>
+                ${route.auth ? `<span class="param-required">${route.auth} token</span>` : ''}
+                <p class="description">${escapeHtml(route.description)}</p>
+                ${params ? `<div class="params">${params}
+                </div>` : ''}
+            </div>`;
+}
+
+/**
+ * Render the endpoint sections, one per registry tag
+ * @returns {string} - HTML
+ */
+function renderEndpointSections() {
+    const tags = [...new Set(routes.map(route => route.tag))];
+
+    return tags.map(tag => `
+        <div class="section">
+            <h2>${escapeHtml(tag)}</h2>
+            ${routes.filter(route => route.tag === tag).map(renderEndpoint).join('')}
+        </div>`).join('\n');
+}
+
 /**
  * Generate API documentation HTML
  */
@@ -151,109 +210,7 @@ function generateDocsHtml() {
             <span class="feature">API Testing</span>
         </div>
 
-        <div class="section">
-            <h2>Available Endpoints</h2>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/home</span>
-                <p class="description">Get homepage data with spotlights, trending, networks, genres, and languages</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/info?id={anime_id}</span>
-                <p class="description">Get detailed information about a specific anime</p>
-                <div class="params">
-                    <div class="param">
-                        <span class="param-name">id</span>
-                        <span class="param-type">string</span>
-                        <span class="param-required">required</span>
-                        <span style="color: #a0a0a0; margin-left: 10px;">Example: <code>naruto-shippuden</code></span>
-                    </div>
-                </div>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/episodes?id={anime_id}</span>
-                <p class="description">Get complete episode list with availability status</p>
-                <div class="params">
-                    <div class="param">
-                        <span class="param-name">id</span>
-                        <span class="param-type">string</span>
-                        <span class="param-required">required</span>
-                        <span style="color: #a0a0a0; margin-left: 10px;">Example: <code>naruto-shippuden</code></span>
-                    </div>
-                </div>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/stream?id={anime_id}&episode={number}</span>
-                <p class="description">Get streaming links and download links for a specific episode</p>
-                <div class="params">
-                    <div class="param">
-                        <span class="param-name">id</span>
-                        <span class="param-type">string</span>
-                        <span class="param-required">required</span>
-                    </div>
-                    <div class="param">
-                        <span class="param-name">episode</span>
-                        <span class="param-type">number</span>
-                        <span style="color: #a0a0a0; margin-left: 10px;">Optional (default: 1)</span>
-                    </div>
-                </div>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/movies?page={number}&pageSize={number}</span>
-                <p class="description">Get all movies with pagination support</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/movies/{id}</span>
-                <p class="description">Get detailed information about a specific movie</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/cartoon?type={series/movies}&subCategory={name}</span>
-                <p class="description">Get cartoon series or movies with sub-category support</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/search?q={keyword}</span>
-                <p class="description">Search for anime by keyword</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/genre/{genre_name}</span>
-                <p class="description">Get anime by genre</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/random</span>
-                <p class="description">Get a random anime from trending</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/test-links?sampleSize={number}</span>
-                <p class="description">Test API against a sample of links</p>
-            </div>
-
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/health</span>
-                <p class="description">Health check endpoint</p>
-            </div>
-        </div>
+${renderEndpointSections()}
 
         <div class="section">
             <h2>Quick Examples</h2>
@@ -0,0 +1,547 @@
+/**
+ * GraphQL Routes - /graphql endpoint over the parsers
+ *
+ * The schema is built with graphql-js. Every type resolves through the API
+ * controller, so lookups share the cache, stale handling and single-flight
+ * group with the REST routes. Each request gets its own data loaders per kind
+ * of title (anime, cartoon, movie), each backed by that kind's parser: a title
+ * and its related titles, seasons and episodes are fetched at most once per
+ * query, and lookups issued by sibling fields are batched together.
+ *
+ * List items (related titles, movie listings) only carry a few fields; asking
+ * for anything else on them loads their full info through the loaders.
+ */
+
+const express = require('express');
+const {
+    GraphQLError,
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLID,
+    GraphQLString,
+    GraphQLInt,
+    GraphQLBoolean,
+    Kind,
+    parse,
+    validate,
+    specifiedRules,
+    execute,
+    printSchema,
+} = require('graphql');
+const config = require('../config');
+const { asyncHandler, ErrorCodes } = require('../middleware/errorHandler');
+const { requestDeadline } = require('../middleware/deadline');
+const { DataLoader } = require('../utils/dataLoader');
+const { getGenreIcon, getSeriesIdFromEpisodeId } = require('../utils/helpers');
+const validator = require('../utils/validator');
+
+/**
+ * Turn a controller result into a resolver value
+ * @param {object} result - Controller result
+ * @returns {object|null} - The result, or null when the resource does not exist
+ */
+function unwrap(result) {
+    if (result && result.success !== false) return result;
+    if (result && result.errorCode === ErrorCodes.NOT_FOUND) return null;
+    throw new GraphQLError((result && result.error) || 'Request failed', {
+        extensions: { code: (result && result.errorCode) || ErrorCodes.SCRAPING_ERROR },
+    });
+}
+
+/**
+ * Create the data loaders for one request
+ * @param {object} controller - ApiController
+ * @param {AbortSignal} signal - Request signal
+ * @returns {object} - { anime, cartoon, movie } loaders, each { info, episodes, stream }
+ *   (movies have no episode list)
+ */
+function createLoaders(controller, signal) {
+    const { maxLoads } = config.graphql;
+    let loads = 0;
+
+    const loader = (load) => new DataLoader(async (keys) => {
+        loads += keys.length;
+        if (loads > maxLoads) {
+            throw new GraphQLError(`Query needs more than ${maxLoads} lookups, request fewer titles or episodes`, {
+                extensions: { code: 'QUERY_TOO_COMPLEX' },
+            });
+        }
+        return Promise.all(keys.map(key => load(key).then(unwrap).catch(error => error)));
+    });
+
+    // Stream keys are `${id}:${lang}`
+    const streamLoader = (load) => loader((key) => {
+        const [id, lang] = key.split(':');
+        return load(id, lang);
+    });
+
+    return {
+        anime: {
+            info: loader(id => controller.getInfo(id, { signal })),
+            episodes: loader(id => controller.getEpisodes(id, { signal })),
+            stream: streamLoader((episodeId, lang) => controller.getStream(episodeId, lang, { signal })),
+        },
+        cartoon: {
+            info: loader(id => controller.getCartoonInfo(id, { signal })),
+            episodes: loader(id => controller.getCartoonEpisodes(id, { signal })),
+            stream: streamLoader((episodeId, lang) => controller.getCartoonStream(episodeId, lang, { signal })),
+        },
+        movie: {
+            info: loader(id => controller.getMovieInfo(id, { signal })),
+            stream: streamLoader((id, lang) => controller.getMovieStream(id, lang, undefined, { signal })),
+        },
+    };
+}
+
+/**
+ * Non-null type
+ * @param {object} type - GraphQL type
+ * @returns {GraphQLNonNull} - type!
+ */
+function nonNull(type) {
+    return new GraphQLNonNull(type);
+}
+
+/**
+ * Non-null list of non-null items
+ * @param {object} type - Item type
+ * @returns {GraphQLNonNull} - [type!]!
+ */
+function listOf(type) {
+    return nonNull(new GraphQLList(nonNull(type)));
+}
+
+/**
+ * Get the full info for a title. Info results are used as-is, list items are
+ * looked up by ID.
+ * @param {string} kind - Kind of title (anime, cartoon, movie)
+ * @param {object} parent - Info result or list item
+ * @param {object} ctx - Request context
+ * @returns {Promise<object|null>} - Info result
+ */
+function getInfo(kind, parent, ctx) {
+    return parent.success === true ? parent : ctx.loaders[kind].info.load(parent.id);
+}
+
+/**
+ * Field read from the parent when present, otherwise from the title's info
+ * @param {string} kind - Kind of title (anime, cartoon, movie)
+ * @param {object} type - GraphQL type
+ * @param {Function} pick - Reads the value from an info result (default: same-named property)
+ * @returns {object} - Field config
+ */
+function infoFieldOf(kind, type, pick) {
+    return {
+        type,
+        resolve: async (parent, args, ctx, { fieldName }) => {
+            if (!pick && parent[fieldName] !== undefined) return parent[fieldName];
+            // Titles that no longer exist resolve to empty values
+            const info = (await getInfo(kind, parent, ctx)) || {};
+            return pick ? pick(info) : info[fieldName];
+        },
+    };
+}
+
+/**
+ * Tag episodes with the kind of their series, so their streams are looked up
+ * by the same parser
+ * @param {Array<object>} episodes - Episodes
+ * @param {string} kind - Kind of series (anime, cartoon)
+ * @returns {Array<object>} - Tagged episodes
+ */
+function withKind(episodes, kind) {
+    return episodes.map(episode => ({ ...episode, kind }));
+}
+
+const langArg = { lang: { type: GraphQLString, defaultValue: 'hindi' } };
+
+/**
+ * Stream sources and download links of an episode or a movie
+ * @param {Function} getStreamLoader - Gets the parent's stream loader: (parent, ctx) => DataLoader
+ * @returns {object} - sources and downloadLinks field configs
+ */
+function streamFields(getStreamLoader) {
+    const field = (type, name) => ({
+        type,
+        args: langArg,
+        description: `${name === 'sources' ? 'Stream sources' : 'Download links'} in the preferred language`,
+        resolve: async (parent, { lang }, ctx) => {
+            const stream = await getStreamLoader(parent, ctx).load(`${parent.id}:${lang}`);
+            return stream ? stream[name] : [];
+        },
+    });
+
+    return {
+        sources: field(listOf(StreamSource), 'sources'),
+        downloadLinks: field(listOf(DownloadLink), 'downloadLinks'),
+    };
+}
+
+/**
+ * Fields shared by anime, cartoons and movies
+ * @param {GraphQLObjectType} titleType - Type of the title and its related titles
+ * @param {string} kind - Kind of title, picks the loaders (anime, cartoon, movie)
+ * @returns {object} - Field configs
+ */
+function titleFields(titleType, kind) {
+    const infoField = (type, pick) => infoFieldOf(kind, type, pick);
+
+    return {
+        id: { type: nonNull(GraphQLID) },
+        title: infoField(GraphQLString),
+        url: infoField(GraphQLString),
+        poster: infoField(GraphQLString),
+        backgroundImage: infoField(GraphQLString),
+        synopsis: infoField(GraphQLString),
+        type: infoField(GraphQLString),
+        subCategory: infoField(GraphQLString),
+        status: infoField(GraphQLString),
+        releaseDate: infoField(GraphQLString),
+        releaseYear: infoField(GraphQLString),
+        duration: infoField(GraphQLString),
+        quality: infoField(GraphQLString),
+        otherNames: infoField(listOf(GraphQLString), info => info.otherNames || []),
+        genres: infoField(listOf(Genre), info => info.genres || []),
+        languages: infoField(listOf(Language), info => info.languages || []),
+        networks: infoField(listOf(Network), info => info.networks || []),
+        hasSub: infoField(GraphQLBoolean, info => (info.availability ? info.availability.hasSub : null)),
+        hasDub: infoField(GraphQLBoolean, info => (info.availability ? info.availability.hasDub : null)),
+        related: {
+            ...infoField(listOf(titleType), info => info.relatedAnime || []),
+            description: 'Related titles, as listed on the title page',
+        },
+    };
+}
+
+/**
+ * Fields of titles with seasons and episodes
+ * @param {string} kind - Kind of series, picks the loaders (anime, cartoon)
+ * @returns {object} - Field configs
+ */
+function episodeListFields(kind) {
+    const fromEpisodes = (type, pick) => ({
+        type,
+        resolve: async (parent, args, ctx) => {
+            const episodes = await ctx.loaders[kind].episodes.load(parent.id);
+            return pick(episodes, args);
+        },
+    });
+
+    return {
+        totalEpisodes: fromEpisodes(GraphQLInt, result => (result ? result.totalEpisodes : null)),
+        totalSeasons: fromEpisodes(GraphQLInt, result => (result ? result.totalSeasons : null)),
+        seasons: fromEpisodes(listOf(Season), result => (result ? result.seasons : []).map(season => ({ ...season, seriesId: result.id, kind }))),
+        episodes: {
+            ...fromEpisodes(listOf(Episode), (result, { season }) => {
+                const episodes = withKind(result ? result.episodes : [], kind);
+                return season === undefined ? episodes : episodes.filter(ep => ep.season === season);
+            }),
+            args: { season: { type: GraphQLInt } },
+        },
+    };
+}
+
+const StreamSource = new GraphQLObjectType({
+    name: 'StreamSource',
+    fields: {
+        player: { type: GraphQLString },
+        url: { type: nonNull(GraphQLString) },
+        quality: { type: GraphQLString },
+        type: { type: GraphQLString },
+        isSub: { type: GraphQLBoolean },
+        isDub: { type: GraphQLBoolean },
+        isRegional: { type: GraphQLBoolean },
+    },
+});
+
+const DownloadLink = new GraphQLObjectType({
+    name: 'DownloadLink',
+    fields: {
+        url: { type: nonNull(GraphQLString) },
+        quality: { type: GraphQLString },
+        host: { type: GraphQLString },
+        text: { type: GraphQLString },
+    },
+});
+
+const Genre = new GraphQLObjectType({
+    name: 'Genre',
+    fields: {
+        id: { type: nonNull(GraphQLID) },
+        name: { type: GraphQLString },
+        icon: { type: GraphQLString },
+    },
+});
+
+const Language = new GraphQLObjectType({
+    name: 'Language',
+    fields: {
+        code: { type: nonNull(GraphQLString) },
+        name: { type: GraphQLString },
+        native: { type: GraphQLString },
+        flag: { type: GraphQLString },
+    },
+});
+
+const Network = new GraphQLObjectType({
+    name: 'Network',
+    fields: {
+        id: { type: GraphQLID },
+        name: { type: GraphQLString },
+        logo: { type: GraphQLString },
+        url: { type: GraphQLString },
+    },
+});
+
+const Episode = new GraphQLObjectType({
+    name: 'Episode',
+    fields: () => ({
+        id: { type: nonNull(GraphQLID) },
+        number: { type: GraphQLInt },
+        season: { type: GraphQLInt },
+        title: { type: GraphQLString },
+        url: { type: GraphQLString },
+        thumbnail: { type: GraphQLString },
+        isSubOnly: { type: GraphQLBoolean },
+        hasSub: { type: GraphQLBoolean },
+        hasDub: { type: GraphQLBoolean },
+        ...streamFields((episode, ctx) => ctx.loaders[episode.kind].stream),
+    }),
+});
+
+const Season = new GraphQLObjectType({
+    name: 'Season',
+    fields: () => ({
+        season: { type: nonNull(GraphQLInt) },
+        title: { type: GraphQLString },
+        episodeCount: { type: GraphQLInt },
+        startEpisode: { type: GraphQLInt },
+        endEpisode: { type: GraphQLInt },
+        isSubOnly: { type: GraphQLBoolean },
+        episodes: {
+            type: listOf(Episode),
+            resolve: async (season, args, ctx) => {
+                const result = await ctx.loaders[season.kind].episodes.load(season.seriesId);
+                return result ? withKind(result.episodes, season.kind).filter(ep => ep.season === season.season) : [];
+            },
+        },
+    }),
+});
+
+const Anime = new GraphQLObjectType({
+    name: 'Anime',
+    description: 'An anime series',
+    fields: () => ({ ...titleFields(Anime, 'anime'), ...episodeListFields('anime') }),
+});
+
+const Cartoon = new GraphQLObjectType({
+    name: 'Cartoon',
+    description: 'A cartoon series',
+    fields: () => ({ ...titleFields(Cartoon, 'cartoon'), ...episodeListFields('cartoon') }),
+});
+
+const Movie = new GraphQLObjectType({
+    name: 'Movie',
+    description: 'A movie',
+    fields: () => ({ ...titleFields(Movie, 'movie'), ...streamFields((movie, ctx) => ctx.loaders.movie.stream) }),
+});
+
+const Query = new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+        anime: {
+            type: Anime,
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: (parent, { id }, ctx) => ctx.loaders.anime.info.load(id),
+        },
+        cartoon: {
+            type: Cartoon,
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: (parent, { id }, ctx) => ctx.loaders.cartoon.info.load(id),
+        },
+        movie: {
+            type: Movie,
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: (parent, { id }, ctx) => ctx.loaders.movie.info.load(id),
+        },
+        episode: {
+            type: Episode,
+            args: { id: { type: nonNull(GraphQLID) } },
+            description: 'An episode by ID (format: anime-id-1x5)',
+            resolve: async (parent, { id }, ctx) => {
+                const validation = validator.validateEpisodeId(id);
+                if (!validation.isValid) {
+                    throw new GraphQLError(validation.error, { extensions: { code: ErrorCodes.VALIDATION_ERROR } });
+                }
+                const episodes = await ctx.loaders.anime.episodes.load(getSeriesIdFromEpisodeId(validation.value));
+                const episode = episodes && episodes.episodes.find(ep => ep.id === validation.value);
+                return { ...(episode || { id: validation.value }), kind: 'anime' };
+            },
+        },
+        movies: {
+            type: listOf(Movie),
+            args: {
+                page: { type: GraphQLInt, defaultValue: 1 },
+                pageSize: { type: GraphQLInt, defaultValue: 20 },
+            },
+            resolve: async (parent, { page, pageSize }, ctx) => {
+                const result = unwrap(await ctx.controller.getMovies(page, pageSize, { signal: ctx.signal }));
+                return result ? result.movies : [];
+            },
+        },
+        genres: {
+            type: listOf(Genre),
+            resolve: () => config.validGenres.map(id => ({
+                id,
+                name: id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+                icon: getGenreIcon(id),
+            })),
+        },
+    },
+});
+
+const schema = new GraphQLSchema({ query: Query });
+
+const sdl = printSchema(schema);
+
+/**
+ * Validation rule limiting how deeply a query nests. Introspection fields are
+ * not counted, they are answered from the schema without any lookup.
+ * @param {number} maxDepth - Max levels of selection sets
+ * @returns {Function} - Validation rule
+ */
+function maxDepthRule(maxDepth) {
+    return (context) => {
+        const fragmentDepths = new Map();
+
+        // Levels of selection sets, this one included
+        const depthOf = (selectionSet) => 1 + Math.max(0, ...selectionSet.selections.map((selection) => {
+            if (selection.kind === Kind.INLINE_FRAGMENT) return depthOf(selection.selectionSet) - 1;
+            if (selection.kind === Kind.FRAGMENT_SPREAD) return fragmentDepth(selection.name.value);
+            if (!selection.selectionSet || selection.name.value.startsWith('__')) return 0;
+            return depthOf(selection.selectionSet);
+        }));
+
+        // Unknown and cyclic fragments are reported by the standard rules
+        const fragmentDepth = (name) => {
+            if (fragmentDepths.has(name)) return fragmentDepths.get(name);
+            fragmentDepths.set(name, 0);
+            const fragment = context.getFragment(name);
+            const depth = fragment ? depthOf(fragment.selectionSet) - 1 : 0;
+            fragmentDepths.set(name, depth);
+            return depth;
+        };
+
+        return {
+            OperationDefinition(operation) {
+                if (depthOf(operation.selectionSet) > maxDepth) {
+                    context.reportError(new GraphQLError(`Query is nested deeper than the limit of ${maxDepth} levels.`, {
+                        nodes: operation,
+                    }));
+                }
+            },
+        };
+    };
+}
+
+/**
+ * Validation rule rejecting mutations and subscriptions, the schema only has queries
+ * @param {ValidationContext} context - Validation context
+ * @returns {object} - AST visitor
+ */
+function queriesOnlyRule(context) {
+    return {
+        OperationDefinition(operation) {
+            if (operation.operation !== 'query') {
+                context.reportError(new GraphQLError(`Only queries are supported, got a ${operation.operation}.`, {
+                    nodes: operation,
+                }));
+            }
+        },
+    };
+}
+
+const validationRules = [...specifiedRules, queriesOnlyRule, maxDepthRule(config.graphql.maxDepth)];
+
+/**
+ * Serialize errors for the response, with a code for those that have none
+ * @param {Array<GraphQLError>} errors - Errors
+ * @param {string} code - Code to use when an error has none
+ * @returns {Array<object>} - { message, locations, path, extensions }
+ */
+function formatErrors(errors, code) {
+    return errors.map((error) => {
+        const formatted = error.toJSON();
+        formatted.extensions = { code, ...formatted.extensions };
+        return formatted;
+    });
+}
+
+/**
+ * Create the GraphQL router
+ * @param {object} controller - ApiController shared with the REST routes
+ * @returns {object} - Express router
+ */
+function createGraphqlRouter(controller) {
+    const router = express.Router();
+
+    router.use(requestDeadline());
+
+    // Schema in SDL, for clients that do not run an introspection query
+    router.get('/schema', (req, res) => {
+        res.type('text/plain').send(sdl);
+    });
+
+    // Queries that cannot run at all are client errors, field errors still answer 200
+    const handleQuery = asyncHandler(async (req, res) => {
+        const params = req.method === 'POST' ? req.body || {} : req.query;
+
+        if (!params.query || typeof params.query !== 'string') {
+            return res.status(400).json({ errors: [{ message: 'Must provide query string.', extensions: { code: 'BAD_REQUEST' } }] });
+        }
+
+        let variables = params.variables;
+        if (typeof variables === 'string' && variables !== '') {
+            try {
+                variables = JSON.parse(variables);
+            } catch (error) {
+                return res.status(400).json({ errors: [{ message: 'Variables are invalid JSON.', extensions: { code: 'BAD_REQUEST' } }] });
+            }
+        }
+
+        let document;
+        try {
+            document = parse(params.query);
+        } catch (error) {
+            return res.status(400).json({ errors: formatErrors([error], 'GRAPHQL_PARSE_FAILED') });
+        }
+
+        const validationErrors = validate(schema, document, validationRules);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ errors: formatErrors(validationErrors, 'GRAPHQL_VALIDATION_FAILED') });
+        }
+
+        const result = await execute({
+            schema,
+            document,
+            variableValues: variables || {},
+            operationName: params.operationName || undefined,
+            contextValue: { controller, signal: req.signal, loaders: createLoaders(controller, req.signal) },
+        });
+
+        // Without data, the variables or the operation name were rejected
+        if (result.data === undefined) {
+            return res.status(400).json({ errors: formatErrors(result.errors, 'BAD_USER_INPUT') });
+        }
+        res.json(result);
+    });
+
+    router.get('/', handleQuery);
+    router.post('/', handleQuery);
+
+    return router;
+}
+
+module.exports = createGraphqlRouter;
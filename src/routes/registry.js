@@ -0,0 +1,726 @@
+/**
+ * Route Registry - Declarative list of every /api endpoint
+ *
+ * Each entry describes one operation: its method, OpenAPI-style path, query
+ * and path parameters (built from the validator rules), the response schema,
+ * which request deadline budget it runs under when not the default, which
+ * cache namespace TTL its HTTP caching headers follow (uncached when omitted)
+ * and, for protected routes, which token it needs. The API router is mounted
+ * from this list and the OpenAPI document, the /docs pages and the /api
+ * listing are all generated from it, so adding an endpoint here is the only
+ * place it has to be described.
+ */
+
+const { rules } = require('../utils/validator');
+const { requestDeadline } = require('../middleware/deadline');
+const { cacheNamespace } = require('../middleware/httpCache');
+
+/**
+ * Build a query parameter
+ * @param {string} name - Parameter name
+ * @param {object} schema - JSON schema of the value
+ * @param {object} options - description, required, example
+ * @returns {object} - OpenAPI parameter object
+ */
+function query(name, schema, options = {}) {
+    return {
+        name,
+        in: 'query',
+        required: !!options.required,
+        description: options.description || '',
+        schema,
+        ...(options.example !== undefined && { example: options.example }),
+    };
+}
+
+/**
+ * Build a path parameter
+ * @param {string} name - Parameter name, matching `{name}` in the route path
+ * @param {object} schema - JSON schema of the value
+ * @param {object} options - description, example
+ * @returns {object} - OpenAPI parameter object
+ */
+function pathParam(name, schema, options = {}) {
+    return { ...query(name, schema, options), in: 'path', required: true };
+}
+
+// Parameter schemas, taken from the validator so docs and validation agree
+const schemas = {
+    id: { type: 'string', pattern: rules.id.pattern.source },
+    episode: { type: 'string', pattern: rules.episode.pattern.source },
+    page: { type: 'integer', ...rules.page },
+    pageSize: { type: 'integer', ...rules.pageSize },
+    letter: { type: 'string', pattern: rules.letter.pattern.source },
+    searchQuery: { type: 'string', ...rules.searchQuery },
+    language: { type: 'string', enum: rules.language.values, default: rules.language.default },
+    genre: { type: 'string', enum: rules.genre.values },
+    cartoonType: { type: 'string', enum: rules.cartoonType.values, default: rules.cartoonType.default },
+    server: { type: 'string', pattern: rules.server.pattern.source },
+    limit: { type: 'integer', ...rules.limit },
+};
+
+const params = {
+    id: (description = 'Anime ID (URL slug)', required = true) =>
+        query('id', schemas.id, { required, description, example: 'naruto-shippuden' }),
+    cartoonId: () =>
+        pathParam('id', schemas.id, { description: 'Cartoon ID (URL slug)', example: 'ben-10' }),
+    episode: () =>
+        query('episode', schemas.episode, { description: 'Episode number or SxE (e.g. 5 or 2x5), defaults to 1x1', example: '1x1' }),
+    lang: () =>
+        query('lang', schemas.language, { description: 'Preferred audio language' }),
+    page: () =>
+        query('page', schemas.page, { description: 'Page number' }),
+    pageSize: () =>
+        query('pageSize', schemas.pageSize, { description: 'Items per page, may span several upstream pages' }),
+    stream: () =>
+        query('stream', { type: 'boolean', default: false }, { description: 'Also load the stream sources of the first episode' }),
+    server: () =>
+        query('server', schemas.server, { description: 'Only this server: 1-based number, or a name matched against player, server label and host', example: '1' }),
+    cursor: () =>
+        query('cursor', { type: 'string' }, { description: 'nextCursor or prevCursor of a previous page, takes precedence over page' }),
+};
+
+const routes = [
+    // System
+    {
+        operationId: 'getHealth',
+        method: 'get',
+        path: '/health',
+        tag: 'System',
+        summary: 'Health check',
+        description: 'Uptime, upstream circuit state, cache and request statistics.',
+        response: 'Health',
+    },
+    {
+        operationId: 'getOpenApi',
+        method: 'get',
+        path: '/openapi.json',
+        tag: 'System',
+        summary: 'OpenAPI document',
+        description: 'This API described as an OpenAPI 3 document, generated from the route registry. Under /api/v2 it describes the v2 envelope.',
+        response: 'OpenApiDocument',
+    },
+    {
+        operationId: 'testConnection',
+        method: 'get',
+        path: '/test',
+        tag: 'System',
+        summary: 'Upstream connectivity check',
+        description: 'Fetches the animesalt.cc home page and reports the circuit breaker state.',
+        deadline: 'test',
+        response: 'ConnectionTest',
+        envelope: true,
+        errors: [500, 503],
+    },
+    {
+        operationId: 'testLinks',
+        method: 'get',
+        path: '/test-links',
+        tag: 'System',
+        summary: 'Test sample links',
+        description: 'Loads info for a fixed sample of titles and reports the pass rate.',
+        parameters: [
+            query('sampleSize', { type: 'integer', minimum: 1, maximum: 100, default: 50 }, { description: 'Number of sample titles to test' }),
+        ],
+        deadline: 'test-links',
+        response: 'LinkTestReport',
+        envelope: true,
+    },
+
+    // Anime
+    {
+        operationId: 'getHome',
+        method: 'get',
+        path: '/home',
+        tag: 'Anime',
+        summary: 'Home page',
+        description: 'Spotlights, trending, most watched, fresh drops, upcoming episodes and the other home sections.',
+        cache: 'home',
+        response: 'Home',
+    },
+    {
+        operationId: 'getInfo',
+        method: 'get',
+        path: '/info',
+        tag: 'Anime',
+        summary: 'Anime info',
+        description: 'Title, synopsis, genres, language availability, seasons and related titles. With `ids` it looks up several titles and answers like POST /batch.',
+        parameters: [
+            params.id('Anime ID (URL slug), required unless ids is given', false),
+            query('ids', { type: 'string' }, { description: 'Comma-separated anime IDs', example: 'naruto-shippuden,one-piece' }),
+        ],
+        cache: 'info',
+        response: 'Info',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getEpisodes',
+        method: 'get',
+        path: '/episodes',
+        tag: 'Anime',
+        summary: 'Episode list',
+        description: 'Every episode grouped by season, with sub/dub availability.',
+        parameters: [params.id()],
+        cache: 'episodes',
+        response: 'Episodes',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getStream',
+        method: 'get',
+        path: '/stream',
+        tag: 'Anime',
+        summary: 'Stream links',
+        description: 'Video sources, servers and download links for one episode.',
+        parameters: [params.id(), params.episode(), params.lang()],
+        deadline: 'stream',
+        cache: 'stream',
+        response: 'Stream',
+        errors: [400],
+    },
+    {
+        operationId: 'getServers',
+        method: 'get',
+        path: '/servers',
+        tag: 'Anime',
+        summary: 'Episode servers',
+        description: 'Only the sources and download links of an episode.',
+        parameters: [
+            params.id(),
+            query('episode', { type: 'string' }, { description: 'Episode number, defaults to 1', example: '1' }),
+            params.lang(),
+        ],
+        cache: 'stream',
+        response: 'Servers',
+        envelope: true,
+        errors: [400],
+    },
+    {
+        operationId: 'batchLookup',
+        method: 'post',
+        path: '/batch',
+        tag: 'Anime',
+        summary: 'Batch lookup',
+        description: 'Info, episode lists and movie info for many IDs in one request, run with bounded concurrency through the cache. Every item carries its own result or error.',
+        requestBody: 'BatchRequest',
+        response: 'BatchResult',
+        envelope: true,
+        errors: [400],
+    },
+    {
+        operationId: 'getAnimeFull',
+        method: 'get',
+        path: '/anime/{id}/full',
+        tag: 'Anime',
+        summary: 'Complete anime',
+        description: 'Info, seasons and episodes in one response, read from a single fetch of the series page. With `stream=true` it also carries the first episode\'s stream sources.',
+        parameters: [pathParam('id', schemas.id, { description: 'Anime ID (URL slug)', example: 'naruto-shippuden' }), params.stream(), params.lang()],
+        cache: 'info',
+        response: 'FullTitle',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getRandom',
+        method: 'get',
+        path: '/random',
+        tag: 'Anime',
+        summary: 'Random anime',
+        description: 'A random title from the trending section.',
+        response: 'RandomAnime',
+    },
+
+    // Movies
+    {
+        operationId: 'listMovies',
+        method: 'get',
+        path: '/movies',
+        tag: 'Movies',
+        summary: 'Movies list',
+        description: 'All movies, paginated.',
+        parameters: [params.page(), params.pageSize(), params.cursor()],
+        cache: 'movies',
+        response: 'MovieList',
+    },
+    {
+        operationId: 'getMovie',
+        method: 'get',
+        path: '/movies/{id}',
+        tag: 'Movies',
+        summary: 'Movie info',
+        description: 'Details of one movie.',
+        parameters: [pathParam('id', schemas.id, { description: 'Movie ID (URL slug)', example: 'your-name' })],
+        cache: 'info',
+        response: 'Info',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getMovieStream',
+        method: 'get',
+        path: '/movies/{id}/stream',
+        tag: 'Movies',
+        summary: 'Movie stream links',
+        description: 'Video sources with sub/dub/regional flags, servers and download links of a movie, read from its watch page. `server` keeps one server, by number or name.',
+        parameters: [pathParam('id', schemas.id, { description: 'Movie ID (URL slug)', example: 'your-name' }), params.lang(), params.server()],
+        deadline: 'stream',
+        cache: 'stream',
+        response: 'MovieStream',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getMovieFull',
+        method: 'get',
+        path: '/movies/{id}/full',
+        tag: 'Movies',
+        summary: 'Complete movie',
+        description: 'Movie info, its single episode and, with `stream=true`, its stream sources in one response, read from one fetch of the movie page.',
+        parameters: [pathParam('id', schemas.id, { description: 'Movie ID (URL slug)', example: 'your-name' }), params.stream(), params.lang()],
+        cache: 'info',
+        response: 'FullTitle',
+        errors: [400, 404],
+    },
+
+    // Cartoon
+    {
+        operationId: 'listCartoons',
+        method: 'get',
+        path: '/cartoon',
+        tag: 'Cartoon',
+        summary: 'Cartoons list',
+        description: 'Cartoon series, movies, shorts, specials or crossovers.',
+        parameters: [
+            query('type', schemas.cartoonType, { description: 'Cartoon category' }),
+            query('subCategory', { type: 'string' }, { description: 'Only items of this sub-category' }),
+            params.page(),
+            params.pageSize(),
+            params.cursor(),
+        ],
+        cache: 'category',
+        response: 'CartoonList',
+    },
+    {
+        operationId: 'getCartoon',
+        method: 'get',
+        path: '/cartoon/{id}',
+        tag: 'Cartoon',
+        summary: 'Cartoon info',
+        description: 'Details of one cartoon. The slug is looked up under /cartoon/series/, /cartoon/movies/, /series/ and /movies/, and the location found is remembered.',
+        parameters: [params.cartoonId()],
+        cache: 'info',
+        response: 'Info',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getCartoonEpisodes',
+        method: 'get',
+        path: '/cartoon/{id}/episodes',
+        tag: 'Cartoon',
+        summary: 'Cartoon episodes',
+        description: 'Every episode of a cartoon grouped by season. Cartoon movies list their single episode.',
+        parameters: [params.cartoonId()],
+        cache: 'episodes',
+        response: 'Episodes',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getCartoonStream',
+        method: 'get',
+        path: '/cartoon/{id}/stream',
+        tag: 'Cartoon',
+        summary: 'Cartoon stream links',
+        description: 'Video sources, servers and download links for one cartoon episode.',
+        parameters: [params.cartoonId(), params.episode(), params.lang()],
+        deadline: 'stream',
+        cache: 'stream',
+        response: 'Stream',
+        errors: [400],
+    },
+    {
+        operationId: 'getCartoonFull',
+        method: 'get',
+        path: '/cartoon/{id}/full',
+        tag: 'Cartoon',
+        summary: 'Complete cartoon',
+        description: 'Info, seasons and episodes of a cartoon in one response, read from a single fetch of its page. With `stream=true` it also carries the first episode\'s stream sources.',
+        parameters: [params.cartoonId(), params.stream(), params.lang()],
+        cache: 'info',
+        response: 'FullTitle',
+        errors: [400, 404],
+    },
+
+    // Characters
+    {
+        operationId: 'getCharacters',
+        method: 'get',
+        path: '/info/{id}/characters',
+        tag: 'Characters',
+        summary: 'Characters of an anime',
+        description: 'The cast of a title with each character\'s voice actors grouped by dub language, so e.g. the Hindi and Japanese casts can be shown side by side. Paginated.',
+        parameters: [
+            pathParam('id', schemas.id, { description: 'Anime ID (URL slug)', example: 'naruto-shippuden' }),
+            params.page(),
+            params.pageSize(),
+            params.cursor(),
+        ],
+        cache: 'characters',
+        response: 'CharacterList',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getCharacter',
+        method: 'get',
+        path: '/character/{id}',
+        tag: 'Characters',
+        summary: 'Character',
+        description: 'Details of one character, its voice actors grouped by dub language and the titles it appears in.',
+        parameters: [pathParam('id', schemas.id, { description: 'Character ID (URL slug)', example: 'naruto-uzumaki' })],
+        cache: 'characters',
+        response: 'Character',
+        errors: [400, 404],
+    },
+    {
+        operationId: 'getVoiceActor',
+        method: 'get',
+        path: '/voice-actor/{id}',
+        tag: 'Characters',
+        summary: 'Voice actor',
+        description: 'Details of one voice actor and the characters they voiced.',
+        parameters: [pathParam('id', schemas.id, { description: 'Voice actor ID (URL slug)', example: 'junko-takeuchi' })],
+        cache: 'characters',
+        response: 'VoiceActor',
+        errors: [400, 404],
+    },
+
+    // Browse
+    {
+        operationId: 'search',
+        method: 'get',
+        path: '/search',
+        tag: 'Browse',
+        summary: 'Search',
+        description: 'Search titles by keyword. Either `q` or `keyword` is required.',
+        parameters: [
+            query('q', schemas.searchQuery, { description: 'Search keyword', example: 'naruto' }),
+            query('keyword', schemas.searchQuery, { description: 'Alias of q' }),
+            params.page(),
+            params.pageSize(),
+            params.cursor(),
+        ],
+        cache: 'category',
+        response: 'SearchResults',
+        errors: [400],
+    },
+    {
+        operationId: 'suggest',
+        method: 'get',
+        path: '/search/suggest',
+        tag: 'Browse',
+        summary: 'Search suggestions',
+        description: 'Up to `limit` lightweight title suggestions for type-ahead, answered from an index of the titles seen in home, genre and search results. Only a query without a match in the index is searched upstream. Queries shorter than two characters answer an empty list.',
+        parameters: [
+            query('q', { type: 'string', maxLength: rules.searchQuery.maxLength }, { description: 'Search text typed so far', example: 'naru' }),
+            query('keyword', { type: 'string', maxLength: rules.searchQuery.maxLength }, { description: 'Alias of q' }),
+            query('limit', schemas.limit, { description: 'Maximum number of suggestions' }),
+        ],
+        cache: 'category',
+        response: 'Suggestions',
+        errors: [400],
+    },
+    {
+        operationId: 'getGenre',
+        method: 'get',
+        path: '/genre/{genre}',
+        tag: 'Browse',
+        summary: 'Anime by genre',
+        description: 'Titles in one genre.',
+        parameters: [
+            pathParam('genre', schemas.genre, { description: 'Genre slug', example: 'action' }),
+            params.page(),
+            params.pageSize(),
+            params.cursor(),
+        ],
+        cache: 'category',
+        response: 'GenreResults',
+    },
+    {
+        operationId: 'getLetter',
+        method: 'get',
+        path: '/letter/{letter}',
+        tag: 'Browse',
+        summary: 'Anime by first letter',
+        description: 'Titles starting with a letter or digit (case-insensitive).',
+        parameters: [
+            pathParam('letter', schemas.letter, { description: 'Letter A-Z or digit 0-9', example: 'A' }),
+            params.page(),
+            params.pageSize(),
+            params.cursor(),
+        ],
+        cache: 'category',
+        response: 'LetterResults',
+    },
+    {
+        operationId: 'listSeries',
+        method: 'get',
+        path: '/series',
+        tag: 'Browse',
+        summary: 'Series list',
+        description: 'All series.',
+        parameters: [params.page(), params.pageSize(), params.cursor()],
+        cache: 'category',
+        response: 'CategoryResults',
+    },
+    {
+        operationId: 'listOngoing',
+        method: 'get',
+        path: '/ongoing',
+        tag: 'Browse',
+        summary: 'Ongoing series',
+        description: 'Series that are still airing.',
+        parameters: [params.page(), params.pageSize(), params.cursor()],
+        cache: 'category',
+        response: 'CategoryResults',
+    },
+    {
+        operationId: 'getTopTen',
+        method: 'get',
+        path: '/top-ten',
+        tag: 'Browse',
+        summary: 'Top ten',
+        description: 'Top ten trending series and movies.',
+        cache: 'home',
+        response: 'TopTen',
+        envelope: true,
+    },
+    {
+        operationId: 'getSchedule',
+        method: 'get',
+        path: '/schedule',
+        tag: 'Browse',
+        summary: 'Upcoming episodes',
+        description: 'The upcoming episodes section of the home page.',
+        cache: 'home',
+        response: 'Schedule',
+        envelope: true,
+    },
+
+    // Metadata
+    {
+        operationId: 'listCategories',
+        method: 'get',
+        path: '/categories',
+        tag: 'Metadata',
+        summary: 'Categories',
+        description: 'Content categories, cartoon sub-categories and valid genres.',
+        cache: 'home',
+        response: 'Categories',
+        envelope: true,
+    },
+    {
+        operationId: 'listGenres',
+        method: 'get',
+        path: '/genres',
+        tag: 'Metadata',
+        summary: 'Genres',
+        description: 'Genres listed on the home page and the accepted genre slugs.',
+        cache: 'home',
+        response: 'Genres',
+        envelope: true,
+    },
+    {
+        operationId: 'listNetworks',
+        method: 'get',
+        path: '/networks',
+        tag: 'Metadata',
+        summary: 'Networks',
+        description: 'Streaming networks listed on the home page.',
+        cache: 'home',
+        response: 'Networks',
+        envelope: true,
+    },
+    {
+        operationId: 'listLanguages',
+        method: 'get',
+        path: '/languages',
+        tag: 'Metadata',
+        summary: 'Languages',
+        description: 'Audio languages listed on the home page.',
+        cache: 'home',
+        response: 'Languages',
+        envelope: true,
+    },
+    {
+        operationId: 'listLetters',
+        method: 'get',
+        path: '/letters',
+        tag: 'Metadata',
+        summary: 'Letters',
+        description: 'A-Z navigation letters listed on the home page.',
+        cache: 'home',
+        response: 'Letters',
+        envelope: true,
+    },
+
+    // Admin (ADMIN_TOKEN)
+    {
+        operationId: 'getCacheStats',
+        method: 'get',
+        path: '/admin/cache',
+        tag: 'Admin',
+        summary: 'Cache stats',
+        description: 'Hit rates, sizes and backend state of the shared cache.',
+        auth: 'admin',
+        deadline: 'admin',
+        response: 'CacheStats',
+        envelope: true,
+    },
+    {
+        operationId: 'listCacheKeys',
+        method: 'get',
+        path: '/admin/cache/keys',
+        tag: 'Admin',
+        summary: 'List cache keys',
+        description: 'Keys per namespace, most recently used first.',
+        auth: 'admin',
+        parameters: [
+            query('namespace', { type: 'string' }, { description: 'Only keys of this namespace', example: 'info' }),
+            query('prefix', { type: 'string' }, { description: 'Only keys starting with this prefix' }),
+            query('limit', { type: 'integer', minimum: 1 }, { description: 'Max keys returned' }),
+        ],
+        deadline: 'admin',
+        response: 'CacheKeys',
+        envelope: true,
+        errors: [400],
+    },
+    {
+        operationId: 'getCacheEntry',
+        method: 'get',
+        path: '/admin/cache/entry',
+        tag: 'Admin',
+        summary: 'Inspect cache entry',
+        description: 'Age, expiry, staleness, tags and size of one entry.',
+        auth: 'admin',
+        parameters: [
+            query('namespace', { type: 'string' }, { required: true, description: 'Cache namespace', example: 'info' }),
+            query('key', { type: 'string' }, { required: true, description: 'Key within the namespace', example: 'naruto-shippuden' }),
+            query('value', { type: 'boolean', default: false }, { description: 'Include the cached value' }),
+        ],
+        deadline: 'admin',
+        response: 'CacheEntry',
+        envelope: true,
+        errors: [400, 404],
+    },
+    {
+        operationId: 'invalidateCache',
+        method: 'post',
+        path: '/admin/cache/invalidate',
+        tag: 'Admin',
+        summary: 'Invalidate cache',
+        description: 'Delete one key, a key prefix, everything tagged with a title ID, a namespace or the whole cache.',
+        auth: 'admin',
+        requestBody: 'InvalidateRequest',
+        deadline: 'admin',
+        response: 'InvalidateResult',
+        envelope: true,
+        errors: [400],
+    },
+    {
+        operationId: 'getPrewarmStatus',
+        method: 'get',
+        path: '/admin/prewarm',
+        tag: 'Admin',
+        summary: 'Pre-warmer status',
+        description: 'Schedule, settings and the last run report.',
+        auth: 'admin',
+        deadline: 'admin',
+        response: 'PrewarmStatus',
+        envelope: true,
+    },
+    {
+        operationId: 'runPrewarm',
+        method: 'post',
+        path: '/admin/prewarm',
+        tag: 'Admin',
+        summary: 'Run pre-warmer',
+        description: 'Start a pre-warm run, or join the one in progress, and wait for its report.',
+        auth: 'admin',
+        requestBody: 'PrewarmRequest',
+        deadline: 'admin',
+        response: 'PrewarmReport',
+        envelope: true,
+    },
+
+    // Cron (CRON_SECRET or ADMIN_TOKEN)
+    {
+        operationId: 'cronPrewarm',
+        method: 'get',
+        path: '/cron/prewarm',
+        tag: 'Cron',
+        summary: 'Scheduled pre-warm',
+        description: 'Pre-warm trigger called by Vercel Cron.',
+        auth: 'cron',
+        parameters: [
+            query('force', { type: 'boolean', default: false }, { description: 'Refresh entries even if they are not expiring yet' }),
+        ],
+        deadline: 'cron',
+        response: 'PrewarmReport',
+        envelope: true,
+    },
+];
+
+/**
+ * Convert an OpenAPI path (`/genre/{genre}`) to an Express path (`/genre/:genre`)
+ * @param {string} path - OpenAPI path
+ * @returns {string} - Express path
+ */
+function toExpressPath(path) {
+    return path.replace(/\{(\w+)\}/g, ':$1');
+}
+
+/**
+ * Mount every registry route on a router
+ * @param {object} router - Express router
+ * @param {object} handlers - Route handlers keyed by operationId
+ * @param {object} auth - Auth middleware keyed by the routes' `auth` value
+ */
+function mountRoutes(router, handlers, auth = {}) {
+    for (const route of routes) {
+        const handler = handlers[route.operationId];
+        if (!handler) {
+            throw new Error(`No handler for route ${route.operationId}`);
+        }
+
+        // The deadline starts first so auth and the handler share its signal
+        const middleware = [requestDeadline(route.deadline)];
+        if (route.cache) {
+            middleware.push(cacheNamespace(route.cache));
+        }
+        if (route.auth) {
+            if (!auth[route.auth]) {
+                throw new Error(`No auth middleware "${route.auth}" for route ${route.operationId}`);
+            }
+            middleware.push(auth[route.auth]);
+        }
+
+        router[route.method](toExpressPath(route.path), ...middleware, handler);
+    }
+}
+
+/**
+ * List the public endpoints, for the /api and /docs summaries
+ * @returns {Array<object>} - { method, path, description }
+ */
+function listEndpoints() {
+    return routes
+        .filter(route => !route.auth)
+        .map(route => ({
+            method: route.method.toUpperCase(),
+            path: `/api${toExpressPath(route.path)}`,
+            description: route.summary,
+        }));
+}
+
+module.exports = {
+    routes,
+    mountRoutes,
+    listEndpoints,
+    toExpressPath,
+};
@@ -4,6 +4,14 @@
 
 // Export the Express app for Vercel serverless functions
 const createApp = require('./app');
+const config = require('./config');
+const { cache } = require('./utils/cache');
+const { startSnapshots } = require('./utils/cacheSnapshot');
+
+// Warm the cache from the last snapshot before serving
+const snapshots = config.cacheSnapshot.enabled
+    ? startSnapshots(cache.memory, { ...config.cacheSnapshot, maxStaleAge: config.staleCache.staleIfError })
+    : null;
 
 const app = createApp();
 
@@ -15,6 +23,16 @@ if (process.env.VERCEL !== '1') {
         console.log(`📚 Documentation: http://localhost:${PORT}/docs`);
         console.log(`🏠 API Home: http://localhost:${PORT}/api/home`);
     });
+
+    // Save the cache snapshot before exiting
+    if (snapshots) {
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                snapshots.save();
+                process.exit(0);
+            });
+        }
+    }
 }
 
 // Export for Vercel
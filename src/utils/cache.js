@@ -0,0 +1,489 @@
+/**
+ * Cache Utility - Shared namespaced cache with pluggable backends
+ *
+ * Entries live in namespaces (home, info, episodes, ...) whose TTLs come from
+ * config.cache. Storage is delegated to a backend:
+ * - memory: in-process LRU with an entry limit and a byte budget shared by all namespaces
+ * - redis:  any Redis-protocol store, shared between instances
+ *
+ * When the configured backend is unreachable the cache falls back to memory and
+ * retries the backend after a pause. Expired entries are kept (until evicted, or
+ * for staleRetention on Redis) so they can still be served as stale data while
+ * the source is down.
+ *
+ * Entries can carry tags (e.g. the series ID on its info, episodes and stream
+ * entries) so related entries can be invalidated together.
+ *
+ * Backend interface - every method may be async:
+ *   get(id) -> entry|null, set(id, entry), delete(id) -> boolean,
+ *   clear(prefix) -> number, keys(prefix) -> id[], deleteTag(tag) -> number,
+ *   stats() -> object
+ * where id is `${namespace}:${key}` and entry is
+ *   { namespace, value, storedAt, expiresAt, ttl, tags }
+ */
+
+const config = require('../config');
+
+/**
+ * Estimate the size of a value in bytes from its JSON form
+ * @param {*} value - Value to measure
+ * @returns {number} - Approximate size in bytes
+ */
+function estimateBytes(value) {
+    try {
+        const json = JSON.stringify(value);
+        return json === undefined ? 0 : Buffer.byteLength(json, 'utf8');
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Memory Backend class - in-process LRU with an entry limit and byte budget
+ */
+class MemoryBackend {
+    /**
+     * Create a new MemoryBackend
+     * @param {object} options - Backend options
+     * @param {number} options.maxEntries - Max entries across all namespaces
+     * @param {number} options.maxBytes - Approximate memory budget in bytes
+     */
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxEntries = options.maxEntries || 1000;
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+
+        // Map iteration order is the LRU order: oldest first
+        this.entries = new Map();
+        this.tags = new Map();
+        this.bytes = 0;
+        this.namespaces = {};
+    }
+
+    /**
+     * Get (or create) the usage record for a namespace
+     * @param {string} name - Namespace
+     * @returns {object} - Namespace usage
+     */
+    getNamespace(name) {
+        if (!this.namespaces[name]) {
+            this.namespaces[name] = { entries: 0, bytes: 0, evictions: 0 };
+        }
+        return this.namespaces[name];
+    }
+
+    /**
+     * Get an entry and mark it as most recently used
+     * @param {string} id - Namespaced key
+     * @returns {object|null} - Entry or null
+     */
+    get(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        this.entries.delete(id);
+        this.entries.set(id, entry);
+        return entry;
+    }
+
+    /**
+     * Store an entry, evicting least recently used entries to stay within limits
+     * @param {string} id - Namespaced key
+     * @param {object} entry - Entry to store
+     */
+    set(id, entry) {
+        const bytes = estimateBytes(entry.value);
+
+        // The previous value is outdated either way, even when the new one is too big to keep
+        this.delete(id);
+        if (bytes > this.maxBytes) return;
+
+        const usage = this.getNamespace(entry.namespace);
+        this.entries.set(id, { ...entry, bytes });
+        for (const tag of entry.tags || []) {
+            if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+            this.tags.get(tag).add(id);
+        }
+        usage.entries++;
+        usage.bytes += bytes;
+        this.bytes += bytes;
+
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            const [oldestId, oldest] = this.entries.entries().next().value;
+            this.delete(oldestId);
+            this.getNamespace(oldest.namespace).evictions++;
+        }
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Namespaced key
+     * @returns {boolean} - True if an entry was removed
+     */
+    delete(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+
+        const usage = this.getNamespace(entry.namespace);
+        this.entries.delete(id);
+        for (const tag of entry.tags || []) {
+            const ids = this.tags.get(tag);
+            if (ids) {
+                ids.delete(id);
+                if (ids.size === 0) this.tags.delete(tag);
+            }
+        }
+        usage.entries--;
+        usage.bytes -= entry.bytes;
+        this.bytes -= entry.bytes;
+        return true;
+    }
+
+    /**
+     * Delete every entry whose id starts with a prefix
+     * @param {string} prefix - Id prefix, empty for everything
+     * @returns {number} - Number of entries removed
+     */
+    clear(prefix = '') {
+        let removed = 0;
+        for (const id of [...this.entries.keys()]) {
+            if (id.startsWith(prefix)) {
+                this.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * List entry ids starting with a prefix, most recently used first
+     * @param {string} prefix - Id prefix, empty for everything
+     * @returns {Array<string>} - Ids
+     */
+    keys(prefix = '') {
+        return [...this.entries.keys()].filter(id => id.startsWith(prefix)).reverse();
+    }
+
+    /**
+     * Delete every entry carrying a tag
+     * @param {string} tag - Tag
+     * @returns {number} - Number of entries removed
+     */
+    deleteTag(tag) {
+        const ids = [...(this.tags.get(tag) || [])];
+        return ids.filter(id => this.delete(id)).length;
+    }
+
+    /**
+     * Get usage stats
+     * @returns {object} - Stats
+     */
+    stats() {
+        return {
+            type: this.name,
+            size: this.entries.size,
+            maxSize: this.maxEntries,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            namespaces: this.namespaces,
+        };
+    }
+}
+
+/**
+ * Cache Service class - namespaces, TTLs and hit/miss accounting over a backend
+ */
+class CacheService {
+    /**
+     * Create a new CacheService
+     * @param {object} options - Cache options
+     * @param {object} options.namespaces - Map of namespace name to TTL in ms
+     * @param {number} options.defaultTtl - TTL for namespaces without one
+     * @param {object} options.memory - Memory backend, also used as fallback
+     * @param {object} options.backend - Primary backend (defaults to memory)
+     * @param {number} options.retryInterval - Ms to stay on memory after a backend failure
+     */
+    constructor(options = {}) {
+        this.ttls = { ...(options.namespaces || {}) };
+        this.defaultTtl = options.defaultTtl || 5 * 60 * 1000;
+        this.memory = options.memory || new MemoryBackend(options);
+        this.backend = options.backend || this.memory;
+        this.retryInterval = options.retryInterval || 30000;
+
+        this.backendDownUntil = 0;
+        this.lastBackendError = null;
+        this.fallbacks = 0;
+        this.namespaces = {};
+
+        Object.keys(this.ttls).forEach(name => this.getNamespace(name));
+    }
+
+    /**
+     * Get (or create) the counters for a namespace
+     * @param {string} name - Namespace
+     * @returns {object} - Namespace counters
+     */
+    getNamespace(name) {
+        if (!this.namespaces[name]) {
+            this.namespaces[name] = { hits: 0, misses: 0, staleHits: 0, sets: 0 };
+        }
+        return this.namespaces[name];
+    }
+
+    /**
+     * Get the TTL of a namespace
+     * @param {string} namespace - Namespace
+     * @returns {number} - TTL in ms
+     */
+    getTtl(namespace) {
+        return this.ttls[namespace] || this.defaultTtl;
+    }
+
+    /**
+     * Check whether the primary backend is currently in use
+     * @returns {boolean} - True if the primary backend is used
+     */
+    isBackendAvailable() {
+        return this.backend === this.memory || Date.now() >= this.backendDownUntil;
+    }
+
+    /**
+     * Run an operation on the primary backend, falling back to memory on failure
+     * @param {Function} operation - Receives a backend, may be async
+     * @returns {Promise<*>} - Operation result
+     */
+    async withBackend(operation) {
+        if (this.backend !== this.memory && this.isBackendAvailable()) {
+            try {
+                return await operation(this.backend);
+            } catch (error) {
+                this.backendDownUntil = Date.now() + this.retryInterval;
+                this.lastBackendError = error.message;
+                this.fallbacks++;
+                console.error(`[Cache] ${this.backend.name} backend unavailable, using memory:`, error.message);
+            }
+        }
+        return operation(this.memory);
+    }
+
+    /**
+     * Get a fresh value, counting a hit or miss for the namespace
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<*>} - Cached value or null if missing or expired
+     */
+    async get(namespace, key) {
+        const counters = this.getNamespace(namespace);
+        const entry = await this.peek(namespace, key);
+
+        if (!entry || Date.now() >= entry.expiresAt) {
+            counters.misses++;
+            return null;
+        }
+
+        counters.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Get an entry regardless of expiry, counting a hit when it is fresh and a
+     * miss otherwise. Expired entries count as stale hits as well, since the
+     * caller may still serve them.
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<object|null>} - { value, storedAt, expiresAt, ttl } or null
+     */
+    async lookup(namespace, key) {
+        const counters = this.getNamespace(namespace);
+        const entry = await this.peek(namespace, key);
+
+        if (entry && Date.now() < entry.expiresAt) {
+            counters.hits++;
+        } else {
+            counters.misses++;
+            if (entry) counters.staleHits++;
+        }
+        return entry;
+    }
+
+    /**
+     * Get an entry regardless of expiry, without counting a hit or miss
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<object|null>} - { value, storedAt, expiresAt, ttl } or null
+     */
+    async peek(namespace, key) {
+        return this.withBackend(backend => backend.get(`${namespace}:${key}`));
+    }
+
+    /**
+     * Store a value
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @param {*} value - Value to cache
+     * @param {object} options - Entry options
+     * @param {number} options.ttl - TTL in ms (defaults to the namespace TTL)
+     * @param {Array<string>} options.tags - Tags for group invalidation
+     */
+    async set(namespace, key, value, options = {}) {
+        const ttl = options.ttl || this.getTtl(namespace);
+        const now = Date.now();
+        const entry = {
+            namespace: namespace,
+            value: value,
+            storedAt: now,
+            expiresAt: now + ttl,
+            ttl: ttl,
+            tags: options.tags || [],
+        };
+
+        this.getNamespace(namespace).sets++;
+        await this.withBackend(backend => backend.set(`${namespace}:${key}`, entry));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<boolean>} - True if an entry was removed
+     */
+    async delete(namespace, key) {
+        return this.withBackend(backend => backend.delete(`${namespace}:${key}`));
+    }
+
+    /**
+     * List keys, optionally limited to a namespace and key prefix
+     * @param {string} namespace - Namespace (optional)
+     * @param {string} prefix - Key prefix within the namespace, or of the
+     *   namespaced key when no namespace is given (optional)
+     * @returns {Promise<Array<string>>} - Namespaced keys
+     */
+    async keys(namespace = null, prefix = '') {
+        const idPrefix = namespace ? `${namespace}:${prefix}` : prefix;
+        return this.withBackend(backend => backend.keys(idPrefix));
+    }
+
+    /**
+     * Delete every entry carrying a tag
+     * @param {string} tag - Tag
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async deleteTag(tag) {
+        const removed = await this.withBackend(backend => backend.deleteTag(tag));
+        if (this.backend !== this.memory) {
+            this.memory.deleteTag(tag);
+        }
+        return removed;
+    }
+
+    /**
+     * Delete every entry whose namespaced key starts with a prefix
+     * @param {string} prefix - Prefix, e.g. "stream:naruto"
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async deletePrefix(prefix) {
+        const removed = await this.withBackend(backend => backend.clear(prefix));
+
+        // Drop anything written to memory while the backend was down
+        if (this.backend !== this.memory) {
+            this.memory.clear(prefix);
+        }
+        return removed;
+    }
+
+    /**
+     * Clear one namespace, or everything when no namespace is given
+     * @param {string} namespace - Namespace (optional)
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async clear(namespace = null) {
+        return this.deletePrefix(namespace ? `${namespace}:` : '');
+    }
+
+    /**
+     * Get cache stats, overall and per namespace
+     * @returns {object} - Cache stats
+     */
+    stats() {
+        const memory = this.memory.stats();
+        let hits = 0;
+        let misses = 0;
+        let evictions = 0;
+        const namespaces = {};
+
+        for (const [name, counters] of Object.entries(this.namespaces)) {
+            const usage = memory.namespaces[name] || { entries: 0, bytes: 0, evictions: 0 };
+            hits += counters.hits;
+            misses += counters.misses;
+            evictions += usage.evictions;
+            namespaces[name] = {
+                ...usage,
+                ...counters,
+                ttl: this.getTtl(name),
+                hitRate: formatHitRate(counters.hits, counters.misses),
+            };
+        }
+
+        return {
+            size: memory.size,
+            maxSize: memory.maxSize,
+            bytes: memory.bytes,
+            maxBytes: memory.maxBytes,
+            hits: hits,
+            misses: misses,
+            hitRate: formatHitRate(hits, misses),
+            evictions: evictions,
+            backend: {
+                ...(this.backend === this.memory ? { type: memory.type } : this.backend.stats()),
+                available: this.isBackendAvailable(),
+                fallbacks: this.fallbacks,
+                lastError: this.lastBackendError,
+            },
+            namespaces: namespaces,
+        };
+    }
+}
+
+/**
+ * Format a hit rate as a percentage string
+ * @param {number} hits - Hit count
+ * @param {number} misses - Miss count
+ * @returns {string} - Hit rate, e.g. "75.00%"
+ */
+function formatHitRate(hits, misses) {
+    return hits + misses > 0 ? ((hits / (hits + misses)) * 100).toFixed(2) + '%' : '0%';
+}
+
+/**
+ * Create the primary backend from config
+ * @param {object} options - config.cacheBackend
+ * @param {object} memory - Memory backend to use for the memory type
+ * @returns {object} - Backend
+ */
+function createBackend(options, memory) {
+    switch ((options.type || 'memory').toLowerCase()) {
+        case 'redis': {
+            const { RedisBackend } = require('./redisBackend');
+            return new RedisBackend(options);
+        }
+        default:
+            return memory;
+    }
+}
+
+// Shared instance used by the controller and every parser
+const memory = new MemoryBackend(config.cacheLimits);
+const cache = new CacheService({
+    namespaces: config.cache,
+    memory: memory,
+    backend: createBackend(config.cacheBackend, memory),
+    retryInterval: config.cacheBackend.retryInterval,
+});
+
+module.exports = {
+    CacheService,
+    MemoryBackend,
+    cache,
+    createBackend,
+    estimateBytes,
+};
@@ -0,0 +1,177 @@
+/**
+ * Cache Snapshot Utility - Persist the memory cache to disk and warm it on boot
+ *
+ * The snapshot is a single JSON-lines file: a header line followed by one entry
+ * per line, most recently used first. Entries keep their original storedAt and
+ * expiresAt, so restored data expires exactly when it would have without the
+ * restart. Lines that cannot be parsed (e.g. a write cut short by a crash) are
+ * skipped instead of failing the whole load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Write the memory backend's entries to a snapshot file
+ * @param {object} memory - MemoryBackend
+ * @param {string} filePath - Snapshot file
+ * @param {object} options - Snapshot options
+ * @param {number} options.maxBytes - Max snapshot size in bytes
+ * @param {number} options.maxStaleAge - Skip entries expired for longer than this (ms)
+ * @returns {object} - { entries, bytes }
+ */
+function saveSnapshot(memory, filePath, options = {}) {
+    const maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    const maxStaleAge = options.maxStaleAge || 0;
+    const now = Date.now();
+
+    const lines = [JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: now })];
+    let bytes = Buffer.byteLength(lines[0]) + 1;
+
+    // Newest first, so the size cap drops the least recently used entries
+    const entries = [...memory.entries].reverse();
+    for (const [id, entry] of entries) {
+        if (now - entry.expiresAt > maxStaleAge) continue;
+
+        const line = JSON.stringify({
+            id: id,
+            namespace: entry.namespace,
+            value: entry.value,
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            ttl: entry.ttl,
+            tags: entry.tags,
+        });
+        const lineBytes = Buffer.byteLength(line) + 1;
+        if (bytes + lineBytes > maxBytes) break;
+
+        lines.push(line);
+        bytes += lineBytes;
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written snapshot
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.join('\n') + '\n');
+    fs.renameSync(tempPath, filePath);
+
+    return { entries: lines.length - 1, bytes: bytes };
+}
+
+/**
+ * Restore entries from a snapshot file into the memory backend
+ * @param {object} memory - MemoryBackend
+ * @param {string} filePath - Snapshot file
+ * @param {object} options - Snapshot options
+ * @param {number} options.maxStaleAge - Skip entries expired for longer than this (ms)
+ * @returns {object} - { loaded, skipped, corrupt }
+ */
+function loadSnapshot(memory, filePath, options = {}) {
+    const maxStaleAge = options.maxStaleAge || 0;
+    const result = { loaded: 0, skipped: 0, corrupt: 0 };
+
+    if (!fs.existsSync(filePath)) return result;
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+    const header = parseLine(lines.shift());
+    if (!header || header.version !== SNAPSHOT_VERSION) {
+        result.corrupt = lines.length + 1;
+        return result;
+    }
+
+    const now = Date.now();
+    const entries = [];
+    for (const line of lines) {
+        const entry = parseLine(line);
+        if (!isValidEntry(entry)) {
+            result.corrupt++;
+        } else if (now - entry.expiresAt > maxStaleAge) {
+            result.skipped++;
+        } else {
+            entries.push(entry);
+        }
+    }
+
+    // Insert oldest first to rebuild the LRU order
+    for (const entry of entries.reverse()) {
+        memory.set(entry.id, {
+            namespace: entry.namespace,
+            value: entry.value,
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            ttl: entry.ttl,
+            tags: Array.isArray(entry.tags) ? entry.tags : [],
+        });
+        result.loaded++;
+    }
+
+    return result;
+}
+
+/**
+ * Parse one snapshot line
+ * @param {string} line - JSON line
+ * @returns {object|null} - Parsed object or null
+ */
+function parseLine(line) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check that a parsed line looks like a cache entry
+ * @param {object} entry - Parsed line
+ * @returns {boolean} - True if usable
+ */
+function isValidEntry(entry) {
+    return !!entry &&
+        typeof entry.id === 'string' &&
+        typeof entry.namespace === 'string' &&
+        entry.id.startsWith(`${entry.namespace}:`) &&
+        Number.isFinite(entry.storedAt) &&
+        Number.isFinite(entry.expiresAt) &&
+        entry.value !== undefined;
+}
+
+/**
+ * Warm the memory backend from disk and keep the snapshot up to date
+ * @param {object} memory - MemoryBackend
+ * @param {object} options - config.cacheSnapshot plus maxStaleAge
+ * @returns {object} - { save, stop }
+ */
+function startSnapshots(memory, options = {}) {
+    try {
+        const restored = loadSnapshot(memory, options.path, options);
+        console.log(`[Cache] Restored ${restored.loaded} entries from snapshot (${restored.skipped} expired, ${restored.corrupt} unreadable)`);
+    } catch (error) {
+        console.error('[Cache] Failed to restore snapshot:', error.message);
+    }
+
+    const save = () => {
+        try {
+            return saveSnapshot(memory, options.path, options);
+        } catch (error) {
+            console.error('[Cache] Failed to save snapshot:', error.message);
+            return null;
+        }
+    };
+
+    const timer = setInterval(save, options.interval || 5 * 60 * 1000);
+    timer.unref();
+
+    return {
+        save: save,
+        stop: () => clearInterval(timer),
+    };
+}
+
+module.exports = {
+    saveSnapshot,
+    loadSnapshot,
+    startSnapshots,
+};
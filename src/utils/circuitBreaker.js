@@ -0,0 +1,136 @@
+/**
+ * Circuit Breaker Utility - Fail fast while the upstream is down
+ */
+
+/**
+ * Circuit states
+ */
+const CircuitState = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN',
+};
+
+/**
+ * Circuit Breaker class
+ *
+ * CLOSED:    requests flow, consecutive failures are counted
+ * OPEN:      requests are rejected immediately until resetTimeout has passed
+ * HALF_OPEN: a limited number of probe requests decide whether to close or re-open
+ */
+class CircuitBreaker {
+    /**
+     * Create a new CircuitBreaker
+     * @param {object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.resetTimeout - Milliseconds to stay open before probing
+     * @param {number} options.halfOpenProbes - Concurrent probe requests while half-open
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 30000;
+        this.halfOpenProbes = options.halfOpenProbes || 1;
+
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.activeProbes = 0;
+        this.lastError = null;
+        this.stats = { successes: 0, failures: 0, rejected: 0, trips: 0 };
+    }
+
+    /**
+     * Check whether a request may go out, reserving a probe slot when half-open
+     * @returns {boolean} - True if the request is allowed
+     */
+    tryAcquire() {
+        if (this.state === CircuitState.OPEN) {
+            if (Date.now() - this.openedAt < this.resetTimeout) {
+                this.stats.rejected++;
+                return false;
+            }
+            this.state = CircuitState.HALF_OPEN;
+            this.activeProbes = 0;
+        }
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            if (this.activeProbes >= this.halfOpenProbes) {
+                this.stats.rejected++;
+                return false;
+            }
+            this.activeProbes++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Release a reserved probe slot without recording an outcome
+     */
+    release() {
+        if (this.activeProbes > 0) {
+            this.activeProbes--;
+        }
+    }
+
+    /**
+     * Record a successful upstream response
+     */
+    recordSuccess() {
+        this.stats.successes++;
+        this.failures = 0;
+        this.activeProbes = 0;
+        this.openedAt = null;
+        this.state = CircuitState.CLOSED;
+    }
+
+    /**
+     * Record a failed upstream request
+     * @param {Error} error - The failure
+     */
+    recordFailure(error) {
+        this.stats.failures++;
+        this.failures++;
+        this.lastError = error ? error.message : null;
+
+        if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+            if (this.state !== CircuitState.OPEN) {
+                this.stats.trips++;
+            }
+            this.state = CircuitState.OPEN;
+            this.openedAt = Date.now();
+            this.activeProbes = 0;
+        }
+    }
+
+    /**
+     * Check whether the circuit is currently rejecting requests
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return this.state === CircuitState.OPEN &&
+            Date.now() - this.openedAt < this.resetTimeout;
+    }
+
+    /**
+     * Get breaker state for health reporting
+     * @returns {object} - Breaker state
+     */
+    getState() {
+        return {
+            state: this.isOpen() || this.state !== CircuitState.OPEN ? this.state : CircuitState.HALF_OPEN,
+            consecutiveFailures: this.failures,
+            failureThreshold: this.failureThreshold,
+            resetTimeout: this.resetTimeout,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+            lastError: this.lastError,
+            stats: { ...this.stats },
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitState,
+};
@@ -0,0 +1,82 @@
+/**
+ * Data Loader Utility - Per-request batching and deduplication of lookups
+ *
+ * Keys requested while resolving one step of a query are collected and handed
+ * to the batch function together once the current promise jobs have run, and
+ * every key is loaded at most once per loader. Create one loader per request:
+ * results are kept for the loader's lifetime, freshness is the shared cache's job.
+ */
+
+/**
+ * Data Loader class
+ */
+class DataLoader {
+    /**
+     * Create a new DataLoader
+     * @param {Function} batchFn - Receives an array of keys, resolves to values (or Errors) in key order
+     */
+    constructor(batchFn) {
+        this.batchFn = batchFn;
+        this.results = new Map();
+        this.queue = [];
+        this.stats = { batches: 0, keys: 0 };
+    }
+
+    /**
+     * Load a value, batched with the other keys requested in the same tick
+     * @param {string} key - Key
+     * @returns {Promise<*>} - Value for the key
+     */
+    load(key) {
+        if (this.results.has(key)) {
+            return this.results.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ key, resolve, reject });
+            if (this.queue.length === 1) {
+                // Wait for pending promise jobs so resolvers at the same depth join the batch
+                Promise.resolve().then(() => process.nextTick(() => this.dispatch()));
+            }
+        });
+
+        this.results.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Load several values
+     * @param {Array<string>} keys - Keys
+     * @returns {Promise<Array>} - Values in key order
+     */
+    loadMany(keys) {
+        return Promise.all(keys.map(key => this.load(key)));
+    }
+
+    /**
+     * Run the batch function for the queued keys
+     */
+    async dispatch() {
+        const batch = this.queue;
+        this.queue = [];
+        this.stats.batches++;
+        this.stats.keys += batch.length;
+
+        try {
+            const values = await this.batchFn(batch.map(item => item.key));
+            if (!Array.isArray(values) || values.length !== batch.length) {
+                throw new Error('Data loader batch function must return one value per key');
+            }
+            batch.forEach((item, index) => {
+                if (values[index] instanceof Error) item.reject(values[index]);
+                else item.resolve(values[index]);
+            });
+        } catch (error) {
+            batch.forEach(item => item.reject(error));
+        }
+    }
+}
+
+module.exports = {
+    DataLoader,
+};
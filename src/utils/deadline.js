@@ -0,0 +1,118 @@
+/**
+ * Deadline Utility - Helpers for request-scoped deadlines and cancellation
+ */
+
+/**
+ * Create the error used when a deadline passes or a request is cancelled
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} - Abort error
+ */
+function abortError(signal) {
+    if (signal && signal.reason instanceof Error) {
+        return signal.reason;
+    }
+    const error = new Error('Request was cancelled');
+    error.name = 'AbortError';
+    error.code = 'ABORTED';
+    return error;
+}
+
+/**
+ * Check whether an error comes from a deadline or cancellation
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True if the error is an abort
+ */
+function isAbortError(error) {
+    return !!error && (
+        error.name === 'AbortError' ||
+        error.name === 'CanceledError' ||
+        error.code === 'ABORTED' ||
+        error.code === 'DEADLINE_EXCEEDED' ||
+        error.code === 'ERR_CANCELED'
+    );
+}
+
+/**
+ * Throw if the signal has already been aborted
+ * @param {AbortSignal} signal - Signal to check
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError(signal);
+    }
+}
+
+/**
+ * Create an AbortController that aborts itself after a budget
+ * @param {number} budget - Budget in milliseconds
+ * @returns {object} - { controller, signal, expiresAt, clear }
+ */
+function createDeadline(budget) {
+    const controller = new AbortController();
+    const expiresAt = Date.now() + budget;
+    const timer = setTimeout(() => {
+        const error = new Error(`Request deadline of ${budget}ms exceeded`);
+        error.name = 'AbortError';
+        error.code = 'DEADLINE_EXCEEDED';
+        controller.abort(error);
+    }, budget);
+
+    return {
+        controller: controller,
+        signal: controller.signal,
+        budget: budget,
+        expiresAt: expiresAt,
+        remaining: () => Math.max(0, expiresAt - Date.now()),
+        clear: () => clearTimeout(timer),
+    };
+}
+
+/**
+ * Race a promise against a signal; rejects as soon as the signal aborts
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<*>} - Result of the work
+ */
+function raceSignal(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortError(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            (value) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            (error) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+/**
+ * Sleep that ends early when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise} - Resolves after the delay, rejects on abort
+ */
+function abortableDelay(ms, signal) {
+    return raceSignal(new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+        }
+    }), signal);
+}
+
+module.exports = {
+    abortError,
+    isAbortError,
+    throwIfAborted,
+    createDeadline,
+    raceSignal,
+    abortableDelay,
+};
@@ -218,6 +218,16 @@ function extractEpisodeFromUrl(url) {
     return null;
 }
 
+/**
+ * Get the series ID an episode ID belongs to
+ * @param {string} episodeId - Episode ID (naruto-shippuden-1x1 or naruto-shippuden-episode-1)
+ * @returns {string} - Series ID
+ */
+function getSeriesIdFromEpisodeId(episodeId) {
+    if (!episodeId) return '';
+    return episodeId.replace(/-(?:\d+x\d+|episode-\d+)$/i, '');
+}
+
 /**
  * Sanitize text content with HTML entity decoding
  * @param {string} text - Text to sanitize
@@ -477,12 +487,35 @@ function sanitizeText(text) {
     return cleanText(text);
 }
 
+/**
+ * Run async tasks with at most `limit` running at once
+ * @param {Array<Function>} tasks - Async functions
+ * @param {number} limit - Max concurrent tasks
+ * @returns {Promise<Array>} - Results in task order
+ */
+async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            results[index] = await tasks[index]();
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(1, limit), tasks.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
 module.exports = {
     parseEpisodeFormat,
     parseTimer,
     extractTimerDate,
     extractIdFromUrl,
     extractEpisodeFromUrl,
+    getSeriesIdFromEpisodeId,
     normalizeUrl,
     getImageUrl,
     getGenreIcon,
@@ -497,6 +530,7 @@ module.exports = {
     parseReleaseYear,
     getContentType,
     sleep,
+    runWithConcurrency,
     delay,
     generateRandomId,
     truncate,
@@ -0,0 +1,712 @@
+/**
+ * OpenAPI Builder - Generate an OpenAPI 3 document from the route registry
+ */
+
+const config = require('../config');
+const { ErrorCodes } = require('../middleware/errorHandler');
+
+const API_VERSION = '5.0.0';
+
+/**
+ * Shorthand for a schema reference
+ * @param {string} name - Component schema name
+ * @returns {object} - $ref object
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Shorthand for an array schema
+ * @param {object} items - Item schema
+ * @returns {object} - Array schema
+ */
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+/**
+ * Shorthand for an object schema
+ * @param {object} properties - Property schemas
+ * @param {Array<string>} required - Required property names
+ * @returns {object} - Object schema
+ */
+function object(properties, required = []) {
+    return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+const string = { type: 'string' };
+const nullableString = { type: 'string', nullable: true };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const freeform = { type: 'object', additionalProperties: true };
+
+/**
+ * Schema of a paginated list response
+ * @param {string} key - Property holding the items
+ * @param {object} properties - Properties describing the list
+ * @returns {object} - Object schema
+ */
+function listOf(key, properties = {}) {
+    return object({
+        success: boolean,
+        ...properties,
+        page: integer,
+        pageSize: integer,
+        totalPages: integer,
+        [key]: arrayOf(ref('AnimeItem')),
+        pagination: ref('Pagination'),
+    }, ['success', key, 'pagination']);
+}
+
+// Component schemas, matching what the parsers and routes return
+const schemas = {
+    ErrorCode: { type: 'string', enum: Object.values(ErrorCodes) },
+
+    Error: object({
+        success: { type: 'boolean', enum: [false] },
+        statusCode: integer,
+        error: string,
+        message: string,
+        errorCode: ref('ErrorCode'),
+        details: string,
+    }, ['success']),
+
+    V2Error: object({
+        success: { type: 'boolean', enum: [false] },
+        statusCode: integer,
+        data: { type: 'object', nullable: true, enum: [null] },
+        meta: freeform,
+        error: object({
+            errorCode: ref('ErrorCode'),
+            message: string,
+            details: string,
+        }, ['errorCode', 'message']),
+    }, ['success', 'statusCode', 'error']),
+
+    CacheMeta: object({
+        timestamp: nullableString,
+        expiresAt: nullableString,
+        age: { type: 'integer', nullable: true, description: 'Seconds since the data was fetched' },
+        isStale: boolean,
+        isCached: boolean,
+        isFresh: boolean,
+        revalidating: boolean,
+        staleIfError: boolean,
+        warning: string,
+    }),
+
+    AnimeItem: object({
+        id: string,
+        title: string,
+        poster: nullableString,
+        type: { type: 'string', description: 'series, movie or cartoon on home lists, SERIES, MOVIE or CARTOON elsewhere' },
+        year: { type: 'integer', nullable: true },
+        season: nullableString,
+        episode: nullableString,
+        status: nullableString,
+        link: string,
+    }, ['id', 'title']),
+
+    Home: object({
+        success: boolean,
+        meta: object({
+            source: string,
+            timestamp: string,
+            itemCount: integer,
+            processingTime: string,
+            cache: ref('CacheMeta'),
+        }),
+        spotlights: arrayOf(ref('AnimeItem')),
+        trending: arrayOf(ref('AnimeItem')),
+        mostWatchedSeries: arrayOf(ref('AnimeItem')),
+        mostWatchedMovies: arrayOf(ref('AnimeItem')),
+        freshDrops: arrayOf(ref('AnimeItem')),
+        upcomingEpisodes: arrayOf(ref('AnimeItem')),
+        onAirSeries: arrayOf(ref('AnimeItem')),
+        newAnimeArrivals: arrayOf(ref('AnimeItem')),
+        justInCartoonSeries: arrayOf(ref('AnimeItem')),
+        filters: freeform,
+    }, ['success']),
+
+    Info: object({
+        success: boolean,
+        id: string,
+        url: string,
+        title: string,
+        synopsis: nullableString,
+        poster: nullableString,
+        backgroundImage: nullableString,
+        type: string,
+        subCategory: nullableString,
+        status: nullableString,
+        releaseDate: nullableString,
+        releaseYear: nullableString,
+        duration: nullableString,
+        quality: nullableString,
+        genres: arrayOf(freeform),
+        languages: arrayOf(freeform),
+        availability: object({
+            hasSub: boolean,
+            hasDub: boolean,
+            languages: arrayOf(string),
+        }),
+        downloadLinks: arrayOf(freeform),
+        networks: arrayOf(freeform),
+        relatedAnime: arrayOf(ref('AnimeItem')),
+        otherNames: arrayOf(string),
+        totalEpisodes: { type: 'integer', nullable: true },
+        seasons: arrayOf(freeform),
+        totalSeasons: { type: 'integer', nullable: true },
+        recommended_data: arrayOf(ref('AnimeItem')),
+        meta: object({ cache: ref('CacheMeta') }),
+    }, ['success', 'id', 'title']),
+
+    Season: object({
+        season: integer,
+        title: string,
+        episodeCount: integer,
+        startEpisode: integer,
+        endEpisode: integer,
+        episodeRange: string,
+        isSubOnly: boolean,
+    }),
+
+    Episode: object({
+        id: string,
+        number: integer,
+        season: integer,
+        title: string,
+        url: string,
+        isSubOnly: boolean,
+        hasDub: boolean,
+        hasSub: boolean,
+        isGrayedOut: boolean,
+    }, ['id', 'number']),
+
+    Episodes: object({
+        success: boolean,
+        id: string,
+        url: string,
+        title: string,
+        totalEpisodes: integer,
+        availableEpisodes: integer,
+        totalSeasons: integer,
+        availableSeasons: integer,
+        seasons: arrayOf(ref('Season')),
+        episodes: arrayOf(ref('Episode')),
+        related_data: arrayOf(ref('AnimeItem')),
+        separatorFound: boolean,
+        separatorAvailable: boolean,
+        meta: object({ cache: ref('CacheMeta') }),
+    }, ['success', 'id', 'episodes']),
+
+    StreamLanguage: object({
+        preferred: string,
+        resolved: nullableString,
+        resolvedLabel: nullableString,
+        available: freeform,
+    }),
+
+    Stream: object({
+        success: boolean,
+        episodeId: string,
+        animeId: string,
+        episode: string,
+        title: nullableString,
+        sources: arrayOf(freeform),
+        downloadLinks: arrayOf(freeform),
+        servers: arrayOf(freeform),
+        message: string,
+        hasSub: boolean,
+        hasDub: boolean,
+        isDualAudio: boolean,
+        isRegional: boolean,
+        language: ref('StreamLanguage'),
+        relatedAnime: arrayOf(ref('AnimeItem')),
+        server: { oneOf: [integer, string], description: 'Server the sources were narrowed to' },
+    }, ['success', 'episodeId', 'sources']),
+
+    MovieStream: object({
+        success: boolean,
+        movieId: string,
+        watchUrl: { ...string, description: 'Watch page the streams were read from' },
+        title: nullableString,
+        sources: arrayOf(freeform),
+        downloadLinks: arrayOf(freeform),
+        servers: arrayOf(freeform),
+        message: string,
+        hasSub: boolean,
+        hasDub: boolean,
+        isDualAudio: boolean,
+        isRegional: boolean,
+        language: ref('StreamLanguage'),
+        relatedAnime: arrayOf(ref('AnimeItem')),
+        server: { oneOf: [integer, string], description: 'Server the sources were narrowed to' },
+    }, ['success', 'movieId', 'sources']),
+
+    Servers: object({
+        episodeId: string,
+        language: ref('StreamLanguage'),
+        sources: arrayOf(freeform),
+        downloadLinks: arrayOf(freeform),
+    }),
+
+    FullTitle: object({
+        success: boolean,
+        id: string,
+        info: ref('Info'),
+        totalSeasons: { ...integer, description: '0 for movies' },
+        totalEpisodes: { ...integer, description: '1 for movies' },
+        seasons: { ...arrayOf(ref('Season')), description: 'Empty for movies' },
+        episodes: { ...arrayOf(ref('Episode')), description: 'A single entry for movies' },
+        stream: {
+            oneOf: [ref('Stream'), ref('MovieStream')],
+            nullable: true,
+            description: 'Streams of the first episode (or the movie), only with stream=true',
+        },
+        streamError: { ...string, description: 'Why stream is null' },
+        meta: freeform,
+    }, ['success', 'id', 'info']),
+
+    RandomAnime: object({
+        success: boolean,
+        anime: ref('AnimeItem'),
+    }, ['success']),
+
+    Pagination: object({
+        page: integer,
+        pageSize: integer,
+        totalPages: { ...integer, description: 'Exact once the last upstream page was read, estimated from the upstream page count before' },
+        totalItems: integer,
+        hasNextPage: boolean,
+        hasPrevPage: boolean,
+        nextCursor: { ...nullableString, description: 'Pass as `cursor` for the next page' },
+        prevCursor: nullableString,
+        upstreamPages: { ...arrayOf(integer), description: 'animesalt.cc pages this page was read from' },
+        upstreamTotalPages: { ...integer, description: 'Page count linked from the animesalt.cc listing' },
+    }, ['page', 'pageSize', 'totalPages', 'hasNextPage', 'nextCursor']),
+
+    MovieList: listOf('movies'),
+
+    CartoonList: listOf('cartoons', {
+        type: string,
+        subCategory: nullableString,
+    }),
+
+    SearchResults: listOf('results', {
+        query: string,
+    }),
+
+    Suggestions: object({
+        success: boolean,
+        query: string,
+        source: { type: 'string', enum: ['index', 'upstream'], description: 'index: answered locally, upstream: from the first animesalt.cc search page' },
+        suggestions: arrayOf(object({
+            id: string,
+            title: string,
+            poster: nullableString,
+            type: { type: 'string', enum: ['series', 'movie', 'cartoon'] },
+            year: { ...integer, nullable: true },
+        }, ['id', 'title', 'type'])),
+    }, ['success', 'suggestions']),
+
+    GenreResults: listOf('items', {
+        genre: string,
+    }),
+
+    CategoryResults: listOf('items', {
+        category: string,
+    }),
+
+    LetterResults: listOf('items', {
+        letter: string,
+    }),
+
+    CastMember: object({
+        id: nullableString,
+        name: string,
+        poster: nullableString,
+    }, ['name']),
+
+    VoiceActorsByLanguage: {
+        type: 'object',
+        description: 'Voice actors keyed by dub language (japanese, hindi, ...)',
+        additionalProperties: arrayOf(ref('CastMember')),
+        example: { japanese: [{ id: 'junko-takeuchi', name: 'Junko Takeuchi', poster: null }] },
+    },
+
+    CharacterList: object({
+        success: boolean,
+        id: string,
+        title: string,
+        languages: { ...arrayOf(string), description: 'Dub languages with at least one voice actor' },
+        page: integer,
+        pageSize: integer,
+        totalPages: integer,
+        characters: arrayOf(object({
+            character: object({
+                id: nullableString,
+                name: string,
+                poster: nullableString,
+                cast: { ...string, description: 'Main, Supporting, ...' },
+            }),
+            voiceActors: ref('VoiceActorsByLanguage'),
+        })),
+        pagination: ref('Pagination'),
+    }, ['success', 'characters', 'pagination']),
+
+    Character: object({
+        success: boolean,
+        id: string,
+        name: string,
+        japaneseName: string,
+        poster: nullableString,
+        about: string,
+        voiceActors: ref('VoiceActorsByLanguage'),
+        animeography: arrayOf(object({
+            id: nullableString,
+            title: string,
+            poster: nullableString,
+            role: string,
+            type: string,
+        })),
+    }, ['success', 'id', 'name']),
+
+    VoiceActor: object({
+        success: boolean,
+        id: string,
+        name: string,
+        japaneseName: string,
+        poster: nullableString,
+        language: string,
+        about: string,
+        roles: arrayOf(object({
+            anime: object({ id: nullableString, title: string, poster: nullableString, type: string, year: string }),
+            character: object({ id: nullableString, name: string, poster: nullableString, role: string }),
+        })),
+    }, ['success', 'id', 'name']),
+
+    TopTen: object({
+        series: arrayOf(ref('AnimeItem')),
+        movies: arrayOf(ref('AnimeItem')),
+    }),
+
+    Schedule: object({
+        upcoming: arrayOf(ref('AnimeItem')),
+    }),
+
+    Categories: object({
+        categories: arrayOf(string),
+        subCategories: object({
+            cartoons: arrayOf(string),
+            genres: arrayOf(string),
+        }),
+    }),
+
+    Genres: object({
+        genres: arrayOf(freeform),
+        validGenres: arrayOf(string),
+    }),
+
+    Networks: object({ networks: arrayOf(freeform) }),
+    Languages: object({ languages: arrayOf(freeform) }),
+    Letters: object({ letters: arrayOf(freeform) }),
+
+    BatchRequest: object({
+        ids: {
+            oneOf: [arrayOf(string), string],
+            description: 'IDs to look up with `op`, as an array or a comma-separated string',
+        },
+        op: { type: 'string', enum: ['info', 'episodes', 'movie'], default: 'info' },
+        operations: arrayOf(object({
+            op: { type: 'string', enum: ['info', 'episodes', 'movie'] },
+            id: string,
+        }, ['id'])),
+    }),
+
+    BatchResult: object({
+        results: arrayOf(object({
+            op: string,
+            id: string,
+            success: boolean,
+            statusCode: integer,
+            data: { ...freeform, nullable: true, description: 'The item\'s result, as its own route returns it' },
+            meta: freeform,
+            error: {
+                ...object({ errorCode: ref('ErrorCode'), message: string, details: string }),
+                nullable: true,
+            },
+        }, ['op', 'id', 'success', 'statusCode'])),
+        summary: object({ total: integer, succeeded: integer, failed: integer }),
+    }),
+
+    Health: object({
+        status: string,
+        timestamp: string,
+        uptime: { type: 'number' },
+        version: string,
+        upstream: { type: 'string', enum: ['CLOSED', 'OPEN', 'HALF_OPEN'] },
+        cacheStats: ref('CacheStats'),
+        requestStats: freeform,
+    }),
+
+    OpenApiDocument: freeform,
+
+    ConnectionTest: object({
+        message: string,
+        timestamp: string,
+        circuitBreaker: freeform,
+    }),
+
+    LinkTestReport: object({
+        summary: object({
+            tested: integer,
+            passed: integer,
+            failed: integer,
+            successRate: string,
+        }),
+        results: arrayOf(object({
+            id: string,
+            status: { type: 'string', enum: ['PASSED', 'FAILED', 'ERROR'] },
+            type: string,
+            title: string,
+            error: string,
+        })),
+        errors: arrayOf(object({ id: string, error: string })),
+    }),
+
+    CacheStats: freeform,
+
+    CacheKeys: object({
+        total: integer,
+        returned: integer,
+        truncated: boolean,
+        namespaces: { type: 'object', additionalProperties: arrayOf(string) },
+    }),
+
+    CacheEntry: object({
+        namespace: string,
+        key: string,
+        storedAt: string,
+        expiresAt: string,
+        age: { type: 'integer', description: 'Seconds since stored' },
+        ttl: { type: 'integer', description: 'Seconds' },
+        remaining: { type: 'integer', description: 'Seconds until expiry' },
+        isStale: boolean,
+        tags: arrayOf(string),
+        bytes: integer,
+        value: { description: 'Cached value, only with value=true' },
+    }),
+
+    InvalidateRequest: object({
+        namespace: { type: 'string', enum: Object.keys(config.cache) },
+        key: string,
+        prefix: { type: 'string', description: 'Raw key prefix, e.g. "info:naruto"' },
+        tag: { type: 'string', description: 'Title ID the entries are tagged with' },
+        all: boolean,
+    }),
+
+    InvalidateResult: object({
+        namespace: string,
+        key: string,
+        prefix: string,
+        tag: string,
+        all: boolean,
+        removed: integer,
+    }, ['removed']),
+
+    PrewarmRequest: object({
+        force: { type: 'boolean', default: false },
+    }),
+
+    PrewarmReport: object({
+        trigger: { type: 'string', enum: ['schedule', 'cron', 'admin', 'manual'] },
+        startedAt: string,
+        finishedAt: string,
+        duration: string,
+        titles: integer,
+        summary: object({ warmed: integer, skipped: integer, failed: integer }),
+        warmed: arrayOf(string),
+        failed: arrayOf(object({ key: string, error: string })),
+    }),
+
+    PrewarmStatus: object({
+        scheduled: boolean,
+        running: boolean,
+        interval: integer,
+        refreshAhead: integer,
+        concurrency: integer,
+        sections: arrayOf(string),
+        runs: integer,
+        lastReport: { allOf: [ref('PrewarmReport')], nullable: true },
+    }),
+};
+
+const errorDescriptions = {
+    400: 'Invalid or missing parameter',
+    401: 'Missing or invalid bearer token',
+    403: 'Endpoint disabled, no token configured',
+    404: 'Not found',
+    500: 'Scraping error',
+    502: 'Source site could not be scraped',
+    503: 'Upstream unavailable',
+    504: 'Request deadline exceeded',
+};
+
+const securitySchemes = {
+    admin: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'ADMIN_TOKEN',
+    },
+    cron: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'CRON_SECRET (the admin token is accepted too)',
+    },
+};
+
+// Sparse fieldset parameters, accepted by every route
+const parameters = {
+    fields: {
+        name: 'fields',
+        in: 'query',
+        required: false,
+        description: 'Only return these paths of the response, e.g. `trending(title,poster),filters.genres`. Paths pass through arrays.',
+        schema: string,
+    },
+    exclude: {
+        name: 'exclude',
+        in: 'query',
+        required: false,
+        description: 'Drop these paths from the response, same syntax as `fields`',
+        schema: string,
+    },
+};
+
+/**
+ * JSON response object for a schema
+ * @param {string} description - Response description
+ * @param {object} schema - Response schema
+ * @returns {object} - OpenAPI response object
+ */
+function jsonResponse(description, schema) {
+    return {
+        description,
+        content: { 'application/json': { schema } },
+    };
+}
+
+/**
+ * Build the response schema of a route, wrapping it in the
+ * { success, statusCode, data } envelope when the route uses one
+ * @param {object} route - Registry entry
+ * @param {boolean} v2 - Describe the /api/v2 envelope instead
+ * @returns {object} - Response schema
+ */
+function responseSchema(route, v2) {
+    if (v2) {
+        return object({
+            success: { type: 'boolean', enum: [true] },
+            statusCode: integer,
+            data: ref(route.response),
+            meta: freeform,
+            error: { type: 'object', nullable: true, enum: [null] },
+        }, ['success', 'statusCode', 'data', 'meta', 'error']);
+    }
+
+    if (!route.envelope) return ref(route.response);
+
+    return object({
+        success: boolean,
+        statusCode: integer,
+        data: ref(route.response),
+    }, ['success', 'data']);
+}
+
+/**
+ * Build the OpenAPI operation for one route
+ * @param {object} route - Registry entry
+ * @param {boolean} v2 - Describe the /api/v2 envelope instead
+ * @returns {object} - OpenAPI operation object
+ */
+function buildOperation(route, v2) {
+    const operation = {
+        operationId: route.operationId,
+        tags: [route.tag],
+        summary: route.summary,
+        description: route.description,
+        parameters: [
+            ...(route.parameters || []),
+            { $ref: '#/components/parameters/fields' },
+            { $ref: '#/components/parameters/exclude' },
+        ],
+        responses: {
+            200: jsonResponse('Success', responseSchema(route, v2)),
+        },
+    };
+
+    if (route.requestBody) {
+        operation.requestBody = {
+            required: false,
+            content: { 'application/json': { schema: ref(route.requestBody) } },
+        };
+    }
+
+    const errors = [...(route.errors || [])];
+    if (route.auth) {
+        operation.security = [{ [route.auth]: [] }];
+        errors.push(401, 403);
+    }
+    // Malformed fields/exclude lists are rejected on every route
+    errors.push(400);
+    // v2 reports failed scrapes as 502 instead of a 200 with success:false
+    errors.push(...(v2 ? [502, 504] : [504]));
+
+    for (const status of [...new Set(errors)].sort()) {
+        operation.responses[status] = jsonResponse(errorDescriptions[status], ref(v2 ? 'V2Error' : 'Error'));
+    }
+
+    return operation;
+}
+
+/**
+ * Build the OpenAPI 3 document for a list of routes
+ * @param {Array<object>} routes - Registry entries
+ * @param {object} options - { version } 1 (default, served under /api) or 2 (/api/v2)
+ * @returns {object} - OpenAPI document
+ */
+function buildOpenApiDocument(routes, options = {}) {
+    const v2 = options.version === 2;
+    const paths = {};
+    const tags = [];
+
+    for (const route of routes) {
+        if (!paths[route.path]) paths[route.path] = {};
+        paths[route.path][route.method] = buildOperation(route, v2);
+        if (!tags.includes(route.tag)) tags.push(route.tag);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'AnimeSalt API',
+            version: API_VERSION,
+            description: `Anime, movie and cartoon data scraped from ${config.baseUrl}.`,
+        },
+        servers: [{ url: v2 ? '/api/v2' : '/api' }],
+        tags: tags.map(name => ({ name })),
+        paths,
+        components: {
+            schemas,
+            parameters,
+            securitySchemes,
+        },
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument,
+    schemas,
+};
@@ -0,0 +1,101 @@
+/**
+ * Pagination Utility - Upstream pagination links and opaque list cursors
+ *
+ * List endpoints read animesalt.cc listings one upstream page at a time. A
+ * cursor records where the next client page starts: the upstream page, the
+ * index within it, and the upstream page size used to turn page numbers
+ * into positions.
+ */
+
+// Links of WordPress pagination blocks (page-numbers, wp-pagenavi, theme variants)
+const PAGE_LINK_SELECTORS = [
+    '.pagination a',
+    '.pagination span',
+    '.nav-links a',
+    '.nav-links span',
+    '.wp-pagenavi a',
+    '.wp-pagenavi span',
+    '.paging a',
+    'a.page-numbers',
+    'span.page-numbers',
+    'a.page-link',
+];
+
+const NEXT_SELECTORS = [
+    'a.next',
+    'a.page-numbers.next',
+    'a[rel="next"]',
+    'link[rel="next"]',
+    '.pagination .next a',
+    '.paging .next a',
+    '.wp-pagenavi .nextpostslink',
+];
+
+/**
+ * Read the pagination of a listing page, ported from the legacy
+ * CategoryExtractor.extractPagination
+ * @param {object} $ - Cheerio instance
+ * @param {number} currentPage - Page that was fetched
+ * @returns {object} - { currentPage, totalPages, hasNextPage }
+ */
+function extractPagination($, currentPage = 1) {
+    let totalPages = currentPage;
+
+    // Highest page number among the numbered links and /page/N hrefs
+    $(PAGE_LINK_SELECTORS.join(', ')).each((i, el) => {
+        const $el = $(el);
+        const href = $el.attr('href') || '';
+        const hrefMatch = href.match(/\/page\/(\d+)|[?&]paged=(\d+)/);
+        const textMatch = $el.text().trim().replace(/,/g, '').match(/^(\d+)$/);
+        const number = parseInt((hrefMatch && (hrefMatch[1] || hrefMatch[2])) || (textMatch && textMatch[1]));
+        if (number > totalPages) totalPages = number;
+    });
+
+    // "Page 1 of 12" style counters
+    const counter = $('.pages, .pagination .total, .paging .total').first().text().match(/of\s+([\d,]+)/i);
+    if (counter) {
+        totalPages = Math.max(totalPages, parseInt(counter[1].replace(/,/g, '')));
+    }
+
+    const hasNextLink = NEXT_SELECTORS.some(selector => $(selector).first().attr('href'));
+
+    return {
+        currentPage,
+        totalPages: hasNextLink ? Math.max(totalPages, currentPage + 1) : totalPages,
+        hasNextPage: hasNextLink || totalPages > currentPage,
+    };
+}
+
+/**
+ * Encode a list position as an opaque cursor
+ * @param {object} position - { p: upstream page, i: index within it, n: upstream page size }
+ * @returns {string} - Cursor
+ */
+function encodeCursor({ p, i, n }) {
+    return Buffer.from(JSON.stringify({ p, i, n })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {object|null} - { p, i, n }, or null when the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    if (typeof cursor !== 'string' || cursor.length > 200) return null;
+
+    try {
+        const { p, i, n } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const valid = Number.isInteger(p) && p >= 1 &&
+            Number.isInteger(i) && i >= 0 &&
+            Number.isInteger(n) && n >= 1;
+        return valid ? { p, i, n } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    extractPagination,
+    encodeCursor,
+    decodeCursor,
+};
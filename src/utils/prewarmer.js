@@ -0,0 +1,228 @@
+/**
+ * Cache Pre-warmer - Refresh home and the titles it lists before they expire
+ *
+ * A run refreshes the home entry if it is missing or expires within
+ * refreshAhead, then does the same for the info and episodes of every title in
+ * the configured home sections (movies only get info). Loads go through the
+ * controller's single-flight group, so a warm-up and a user request for the same
+ * key share one fetch, and title fetches use the low priority lane so they never
+ * delay user traffic.
+ *
+ * Runs are triggered by a timer on long-running servers, or by the cron route
+ * on serverless deployments. Only one run is active at a time.
+ */
+
+const { cache } = require('./cache');
+const { createDeadline, isAbortError } = require('./deadline');
+const { Priority } = require('./request');
+const validator = require('./validator');
+const { runWithConcurrency } = require('./helpers');
+
+/**
+ * Cache Warmer class
+ */
+class CacheWarmer {
+    /**
+     * Create a new CacheWarmer
+     * @param {object} controller - ApiController whose loaders and single-flight group are used
+     * @param {object} options - config.prewarm
+     */
+    constructor(controller, options = {}) {
+        this.controller = controller;
+        this.interval = options.interval || 10 * 60 * 1000;
+        this.refreshAhead = options.refreshAhead || 15 * 60 * 1000;
+        this.concurrency = options.concurrency || 3;
+        this.timeout = options.timeout || 55 * 1000;
+        this.sections = options.sections || ['trending', 'mostWatchedSeries', 'freshDrops'];
+
+        this.timer = null;
+        this.current = null;
+        this.lastReport = null;
+        this.runs = 0;
+    }
+
+    /**
+     * Run every `interval` ms until stopped. The first run starts right away.
+     */
+    start() {
+        if (this.timer) return;
+
+        const tick = () => {
+            this.run({ trigger: 'schedule' }).catch((error) => {
+                console.error('[Prewarm] Run failed:', error.message);
+            });
+        };
+
+        this.timer = setInterval(tick, this.interval);
+        this.timer.unref();
+        tick();
+    }
+
+    /**
+     * Stop the timer
+     */
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Warm the cache, or join the run already in progress
+     * @param {object} options - Run options
+     * @param {string} options.trigger - What started the run (schedule, cron, admin)
+     * @param {boolean} options.force - Refresh entries even if they are not expiring yet
+     * @param {AbortSignal} options.signal - Stops the run early (optional)
+     * @returns {Promise<object>} - Run report
+     */
+    run(options = {}) {
+        if (!this.current) {
+            this.current = this.execute(options).finally(() => {
+                this.current = null;
+            });
+        }
+        return this.current;
+    }
+
+    /**
+     * Do one run
+     * @param {object} options - Run options (see run)
+     * @returns {Promise<object>} - Run report
+     */
+    async execute(options = {}) {
+        const startedAt = Date.now();
+        const deadline = createDeadline(this.timeout);
+        const signal = deadline.signal;
+        const force = !!options.force;
+
+        // The caller's signal (e.g. the cron request) ends the run early too
+        const onAbort = () => deadline.controller.abort(options.signal.reason);
+        if (options.signal) options.signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const home = await this.warmEntry('home', 'home', (s) => this.controller.loadHome(s), signal, force);
+
+            let titles = [];
+            const homeData = home.data || await this.getCachedHome();
+            if (homeData) {
+                titles = this.collectTitles(homeData);
+            }
+
+            const tasks = [];
+            for (const title of titles) {
+                const loadOptions = (s) => ({ signal: s, refresh: true, priority: Priority.LOW });
+                tasks.push(() => this.warmEntry('info', title.id,
+                    (s) => this.controller.animeParser.getInfo(title.id, loadOptions(s)), signal, force));
+                if (title.type !== 'movie') {
+                    tasks.push(() => this.warmEntry('episodes', title.id,
+                        (s) => this.controller.animeParser.getEpisodes(title.id, loadOptions(s)), signal, force));
+                }
+            }
+
+            const results = [home, ...await runWithConcurrency(tasks, this.concurrency)];
+            const report = {
+                trigger: options.trigger || 'manual',
+                startedAt: new Date(startedAt).toISOString(),
+                finishedAt: new Date().toISOString(),
+                duration: `${Date.now() - startedAt}ms`,
+                titles: titles.length,
+                summary: {
+                    warmed: results.filter(r => r.status === 'warmed').length,
+                    skipped: results.filter(r => r.status === 'skipped').length,
+                    failed: results.filter(r => r.status === 'failed').length,
+                },
+                warmed: results.filter(r => r.status === 'warmed').map(r => r.key),
+                failed: results.filter(r => r.status === 'failed').map(r => ({ key: r.key, error: r.error })),
+            };
+
+            this.runs++;
+            this.lastReport = report;
+            console.log(`[Prewarm] ${report.trigger} run: ${report.summary.warmed} warmed, ${report.summary.skipped} skipped, ${report.summary.failed} failed in ${report.duration}`);
+            return report;
+        } finally {
+            deadline.clear();
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Refresh one cache entry unless it stays fresh for longer than refreshAhead
+     * @param {string} namespace - Cache namespace
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Receives an AbortSignal, loads and caches the resource
+     * @param {AbortSignal} signal - Run signal
+     * @param {boolean} force - Refresh even if not expiring yet
+     * @returns {Promise<object>} - { key, status, error, data }
+     */
+    async warmEntry(namespace, key, loader, signal, force) {
+        const id = `${namespace}:${key}`;
+
+        try {
+            const entry = await cache.peek(namespace, key);
+            if (!force && entry && entry.expiresAt - Date.now() > this.refreshAhead) {
+                return { key: id, status: 'skipped', data: entry.value };
+            }
+
+            if (signal.aborted) {
+                return { key: id, status: 'failed', error: 'Run deadline exceeded' };
+            }
+
+            const result = await this.controller.inflight.run(id, loader, signal);
+            if (this.controller.isUsable(result)) {
+                return { key: id, status: 'warmed', data: result };
+            }
+            return { key: id, status: 'failed', error: (result && result.error) || 'Source returned no usable data' };
+        } catch (error) {
+            const message = isAbortError(error) ? 'Run deadline exceeded' : error.message;
+            return { key: id, status: 'failed', error: message };
+        }
+    }
+
+    /**
+     * Get the cached home data, even if stale, when the refresh failed
+     * @returns {Promise<object|null>} - Home data or null
+     */
+    async getCachedHome() {
+        const entry = await cache.peek('home', 'home');
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Collect unique, valid titles from the configured home sections
+     * @param {object} home - Home data
+     * @returns {Array<object>} - { id, type }
+     */
+    collectTitles(home) {
+        const titles = new Map();
+
+        for (const section of this.sections) {
+            for (const item of home[section] || []) {
+                if (!item || !item.id || titles.has(item.id)) continue;
+                if (!validator.validateId(item.id).isValid) continue;
+                titles.set(item.id, { id: item.id, type: item.type });
+            }
+        }
+
+        return [...titles.values()];
+    }
+
+    /**
+     * Get warmer status and the last run report
+     * @returns {object} - Status
+     */
+    getStatus() {
+        return {
+            scheduled: !!this.timer,
+            running: !!this.current,
+            interval: this.interval,
+            refreshAhead: this.refreshAhead,
+            concurrency: this.concurrency,
+            sections: this.sections,
+            runs: this.runs,
+            lastReport: this.lastReport,
+        };
+    }
+}
+
+module.exports = {
+    CacheWarmer,
+};
@@ -0,0 +1,194 @@
+/**
+ * Projection Utility - Sparse fieldsets for API responses (?fields= / ?exclude=)
+ *
+ * A field list is comma-separated paths: `title`, `trending.title`, or grouped
+ * as `trending(title,poster)`. Paths pass through arrays, so `trending.title`
+ * keeps the title of every trending item. Lists are parsed into a tree where
+ * `null` stands for "the whole value".
+ */
+
+const NAME_PATTERN = /^[A-Za-z0-9_$-]+$/;
+const MAX_LENGTH = 2000;
+
+/**
+ * Merge a path tree into another
+ * @param {Map} target - Tree to merge into
+ * @param {Map} source - Tree to merge
+ */
+function mergeTree(target, source) {
+    for (const [name, subtree] of source) {
+        if (!target.has(name)) {
+            target.set(name, subtree);
+        } else if (target.get(name) === null || subtree === null) {
+            target.set(name, null);
+        } else {
+            mergeTree(target.get(name), subtree);
+        }
+    }
+}
+
+/**
+ * Parse a field list into a path tree
+ * @param {string} input - Field list, e.g. "title,trending(title,poster),filters.genres"
+ * @returns {Map} - Path tree
+ * @throws {Error} - On malformed lists
+ */
+function parseFieldList(input) {
+    if (input.length > MAX_LENGTH) {
+        throw new Error(`Field list is longer than ${MAX_LENGTH} characters`);
+    }
+
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`${message} at position ${pos + 1} of "${input}"`);
+    };
+
+    const readName = () => {
+        const start = pos;
+        while (pos < input.length && !'.,()'.includes(input[pos])) pos++;
+        const name = input.slice(start, pos).trim();
+        if (!NAME_PATTERN.test(name)) fail(name ? `Invalid field name "${name}"` : 'Expected a field name');
+        return name;
+    };
+
+    // path := name ('.' path | '(' list ')')?
+    const readPath = () => {
+        const name = readName();
+        let subtree = null;
+        if (input[pos] === '.') {
+            pos++;
+            subtree = readPath();
+        } else if (input[pos] === '(') {
+            pos++;
+            subtree = readList(')');
+            pos++;
+        }
+        return new Map([[name, subtree]]);
+    };
+
+    // list := path (',' path)*
+    const readList = (end) => {
+        const tree = new Map();
+        for (;;) {
+            mergeTree(tree, readPath());
+            if (input[pos] === ',') {
+                pos++;
+            } else if (input[pos] === end) {
+                return tree;
+            } else {
+                fail(end ? `Expected "," or "${end}"` : 'Expected ","');
+            }
+        }
+    };
+
+    return readList(undefined);
+}
+
+/**
+ * Parse the fields and exclude query parameters
+ * @param {object} query - Request query
+ * @returns {object|null} - { fields, exclude } path trees, null when neither is given
+ * @throws {Error} - On malformed lists
+ */
+function parseProjection(query = {}) {
+    const read = (name) => {
+        const value = query[name];
+        if (value === undefined || value === '') return null;
+        if (typeof value !== 'string') throw new Error(`${name} must be given once`);
+        return parseFieldList(value);
+    };
+
+    const fields = read('fields');
+    const exclude = read('exclude');
+    return fields || exclude ? { fields, exclude } : null;
+}
+
+/**
+ * Keep only the selected paths of a value
+ * @param {*} value - Value to project
+ * @param {Map} tree - Selected paths
+ * @returns {*} - Projected value
+ */
+function pick(value, tree) {
+    if (Array.isArray(value)) return value.map(item => pick(item, tree));
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [name, subtree] of tree) {
+        if (value[name] === undefined) continue;
+        result[name] = subtree === null ? value[name] : pick(value[name], subtree);
+    }
+    return result;
+}
+
+/**
+ * Drop the excluded paths of a value
+ * @param {*} value - Value to project
+ * @param {Map} tree - Excluded paths
+ * @returns {*} - Projected value
+ */
+function omit(value, tree) {
+    if (Array.isArray(value)) return value.map(item => omit(item, tree));
+    if (!value || typeof value !== 'object') return value;
+
+    const result = { ...value };
+    for (const [name, subtree] of tree) {
+        if (result[name] === undefined) continue;
+        if (subtree === null) delete result[name];
+        else result[name] = omit(result[name], subtree);
+    }
+    return result;
+}
+
+/**
+ * Apply a projection to a value
+ * @param {*} value - Value to project
+ * @param {object} projection - { fields, exclude } from parseProjection
+ * @returns {*} - Projected value
+ */
+function project(value, projection) {
+    let result = value;
+    if (projection.fields) result = pick(result, projection.fields);
+    if (projection.exclude) result = omit(result, projection.exclude);
+    return result;
+}
+
+/**
+ * Check whether any part of a path survives a projection. Lets loaders skip
+ * work for data the client did not ask for.
+ * @param {object|null} projection - { fields, exclude } from parseProjection
+ * @param {string} path - Dotted path, e.g. "spotlights.backdrop"
+ * @returns {boolean} - True when the path is (at least partly) in the response
+ */
+function isRequested(projection, path) {
+    if (!projection) return true;
+    const names = path.split('.');
+
+    if (projection.fields) {
+        let tree = projection.fields;
+        for (const name of names) {
+            if (tree === null) break;
+            if (!tree.has(name)) return false;
+            tree = tree.get(name);
+        }
+    }
+
+    if (projection.exclude) {
+        let tree = projection.exclude;
+        for (const name of names) {
+            if (!tree.has(name)) break;
+            tree = tree.get(name);
+            if (tree === null) return false;
+        }
+    }
+
+    return true;
+}
+
+module.exports = {
+    parseFieldList,
+    parseProjection,
+    project,
+    isRequested,
+};
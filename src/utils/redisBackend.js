@@ -0,0 +1,221 @@
+/**
+ * Redis Backend - Shared cache backend on Redis
+ *
+ * Talks to redis-server (or any Redis-protocol compatible store) through
+ * ioredis, which handles the protocol, authentication, database selection and
+ * reconnects. Commands fail after commandTimeout instead of waiting for the
+ * connection to come back, so the cache can fall back to memory meanwhile.
+ */
+
+const Redis = require('ioredis');
+
+// Tag sets live next to the entries; keys() and clear() skip them
+const TAG_PREFIX = '#tag:';
+
+/**
+ * Create an ioredis client for the cache
+ * @param {object} options - Client options
+ * @param {string} options.url - redis://[:password@]host:port[/db]
+ * @param {number} options.connectTimeout - Connect timeout in ms
+ * @param {number} options.commandTimeout - Command timeout in ms
+ * @returns {Redis} - Client, connecting on its first command
+ */
+function createClient(options = {}) {
+    const client = new Redis(options.url || 'redis://127.0.0.1:6379', {
+        lazyConnect: true,
+        connectTimeout: options.connectTimeout || 1000,
+        commandTimeout: options.commandTimeout || 500,
+        // Fail commands issued while disconnected after one reconnect attempt
+        maxRetriesPerRequest: 1,
+        retryStrategy: attempt => Math.min(attempt * 200, 5000),
+    });
+
+    // Failures surface through the commands; the cache logs its fallbacks
+    client.on('error', () => {});
+
+    return client;
+}
+
+/**
+ * Redis cache backend
+ *
+ * Entries are stored as JSON under `${keyPrefix}${namespace}:${key}`. The Redis
+ * TTL is the entry TTL plus staleRetention, so expired entries stay readable as
+ * stale data for a while before Redis drops them. Each tag is a set of entry
+ * ids under `${keyPrefix}${TAG_PREFIX}${tag}`, kept until its longest-lived
+ * entry expires. Needs Redis 7 or later for PEXPIRE NX/GT.
+ */
+class RedisBackend {
+    /**
+     * Create a new RedisBackend
+     * @param {object} options - Backend options
+     * @param {string} options.url - Redis URL
+     * @param {string} options.keyPrefix - Prefix for every key
+     * @param {number} options.staleRetention - Extra ms to keep entries after they expire
+     * @param {object} options.client - ioredis client, defaults to one for options.url
+     */
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.keyPrefix = options.keyPrefix || '';
+        this.staleRetention = options.staleRetention || 0;
+        this.client = options.client || createClient(options);
+    }
+
+    /**
+     * Get an entry
+     * @param {string} id - Namespaced key
+     * @returns {Promise<object|null>} - Entry or null
+     */
+    async get(id) {
+        const raw = await this.client.get(this.keyPrefix + id);
+        if (raw === null || raw === undefined) return null;
+
+        try {
+            const stored = JSON.parse(raw);
+            return {
+                namespace: stored.n,
+                value: stored.v,
+                storedAt: stored.s,
+                expiresAt: stored.e,
+                ttl: stored.t,
+                tags: stored.g || [],
+            };
+        } catch (error) {
+            // Unreadable entry - drop it and treat as a miss
+            await this.client.del(this.keyPrefix + id);
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry, with its tag sets, in one round trip
+     * @param {string} id - Namespaced key
+     * @param {object} entry - { namespace, value, storedAt, expiresAt, ttl }
+     */
+    async set(id, entry) {
+        const payload = JSON.stringify({
+            n: entry.namespace,
+            v: entry.value,
+            s: entry.storedAt,
+            e: entry.expiresAt,
+            t: entry.ttl,
+            g: entry.tags || [],
+        });
+        const px = Math.max(1, Math.ceil(entry.ttl + this.staleRetention));
+
+        const pipeline = this.client.pipeline().set(this.keyPrefix + id, payload, 'PX', px);
+        for (const tag of entry.tags || []) {
+            const tagKey = this.keyPrefix + TAG_PREFIX + tag;
+            // A tag set lives as long as its longest-lived entry: NX sets the TTL of a new
+            // set, GT only ever extends it
+            pipeline.sadd(tagKey, id).pexpire(tagKey, px, 'NX').pexpire(tagKey, px, 'GT');
+        }
+
+        const results = await pipeline.exec();
+        const failed = results.find(([error]) => error);
+        if (failed) throw failed[0];
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Namespaced key
+     * @returns {Promise<boolean>} - True if an entry was removed
+     */
+    async delete(id) {
+        const removed = await this.client.del(this.keyPrefix + id);
+        return removed > 0;
+    }
+
+    /**
+     * Scan for keys matching an id prefix
+     * @param {string} prefix - Id prefix, empty for everything
+     * @returns {Promise<Array<string>>} - Full Redis keys, tag sets excluded
+     */
+    async scan(prefix = '') {
+        const pattern = `${escapeGlob(this.keyPrefix + prefix)}*`;
+        const tagPrefix = this.keyPrefix + TAG_PREFIX;
+        const found = [];
+        let cursor = '0';
+
+        do {
+            const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+            cursor = nextCursor;
+            found.push(...keys.filter(key => !key.startsWith(tagPrefix)));
+        } while (cursor !== '0');
+
+        return found;
+    }
+
+    /**
+     * List entry ids starting with a prefix
+     * @param {string} prefix - Id prefix, empty for everything
+     * @returns {Promise<Array<string>>} - Ids
+     */
+    async keys(prefix = '') {
+        const keys = await this.scan(prefix);
+        return keys.map(key => key.substring(this.keyPrefix.length));
+    }
+
+    /**
+     * Delete every entry whose id starts with a prefix
+     * @param {string} prefix - Id prefix, empty for everything
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async clear(prefix = '') {
+        const keys = await this.scan(prefix);
+        let removed = 0;
+
+        for (let i = 0; i < keys.length; i += 100) {
+            removed += await this.client.del(...keys.slice(i, i + 100));
+        }
+        return removed;
+    }
+
+    /**
+     * Delete every entry carrying a tag
+     * @param {string} tag - Tag
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async deleteTag(tag) {
+        const tagKey = this.keyPrefix + TAG_PREFIX + tag;
+        const ids = await this.client.smembers(tagKey);
+        await this.client.del(tagKey);
+
+        if (!ids || ids.length === 0) return 0;
+        return this.client.del(...ids.map(id => this.keyPrefix + id));
+    }
+
+    /**
+     * Close the connection, failing pending commands
+     */
+    close() {
+        this.client.disconnect();
+    }
+
+    /**
+     * Get backend stats
+     * @returns {object} - Stats
+     */
+    stats() {
+        return {
+            type: this.name,
+            keyPrefix: this.keyPrefix,
+            staleRetention: this.staleRetention,
+            status: this.client.status,
+        };
+    }
+}
+
+/**
+ * Escape Redis glob special characters
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeGlob(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    RedisBackend,
+    createClient,
+};
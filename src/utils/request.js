@@ -4,30 +4,107 @@
 
 const axios = require('axios');
 const config = require('../config');
+const { getTransport } = require('./transport');
+const { createSingleFlight } = require('./singleFlight');
+const { HostScheduler, Priority, isMoreUrgent } = require('./scheduler');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { throwIfAborted, abortableDelay, isAbortError } = require('./deadline');
+
+// Concurrent fetches of the same URL share one upstream request
+const inflightRequests = createSingleFlight();
+
+// Lane of each shared fetch, raised when a more urgent caller joins it
+const inflightPriorities = new Map();
+
+// Global per-host politeness queue shared by every upstream request
+const scheduler = new HostScheduler(config.request.scheduler);
+
+// Trips after repeated upstream failures so callers fail fast while the source is down
+const upstreamBreaker = new CircuitBreaker(config.request.circuitBreaker);
+
+/**
+ * Fetch HTML content from a URL, sharing the request with concurrent callers.
+ * A caller joining a shared fetch with a more urgent priority moves it to
+ * that lane, so it does not wait behind background work.
+ * @param {string} url - The URL to fetch
+ * @param {object} options - Additional options
+ * @param {string} options.priority - Scheduler lane: high, normal (default) or low
+ * @param {AbortSignal} options.signal - Request deadline/cancellation signal
+ * @returns {Promise<string>} - HTML content
+ */
+function fetchHTML(url, options = {}) {
+    const { signal, ...fetchOptions } = options;
+    const priority = options.priority || Priority.NORMAL;
+
+    let lane = inflightPriorities.get(url);
+    if (!lane) {
+        lane = { priority };
+        inflightPriorities.set(url, lane);
+    } else if (isMoreUrgent(priority, lane.priority)) {
+        lane.priority = priority;
+        scheduler.raise(url, priority);
+    }
+
+    return inflightRequests.run(
+        url,
+        (sharedSignal) => fetchHTMLWithRetry(url, { ...fetchOptions, lane, signal: sharedSignal })
+            .finally(() => {
+                if (inflightPriorities.get(url) === lane) inflightPriorities.delete(url);
+            }),
+        signal
+    );
+}
 
 /**
  * Fetch HTML content from a URL with retry logic
  * @param {string} url - The URL to fetch
  * @param {object} options - Additional options
+ * @param {object} options.lane - { priority }, read on every attempt (defaults to options.priority)
  * @returns {Promise<string>} - HTML content
  */
-async function fetchHTML(url, options = {}) {
+async function fetchHTMLWithRetry(url, options = {}) {
     const maxRetries = options.retries || config.request.retries;
     const timeout = options.timeout || config.request.timeout;
     const retryDelay = options.retryDelay || config.request.retryDelay;
+    const lane = options.lane || { priority: options.priority || Priority.NORMAL };
+    const signal = options.signal;
 
     let lastError;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        // Stop retrying once the request budget has run out
+        throwIfAborted(signal);
+
+        if (!upstreamBreaker.tryAcquire()) {
+            const error = new Error(`Upstream circuit is open, not fetching ${url}`);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+
         try {
-            const response = await axios.get(url, {
-                timeout: timeout,
-                headers: {
-                    ...config.request.headers,
-                    ...options.headers,
-                },
-                validateStatus: (status) => status < 500,
-            });
+            let response;
+            try {
+                response = await scheduler.schedule(url, () => getTransport().get(url, {
+                    timeout: timeout,
+                    headers: {
+                        ...config.request.headers,
+                        ...options.headers,
+                    },
+                    validateStatus: (status) => status < 500,
+                    signal: signal,
+                }), lane.priority, signal);
+            } catch (error) {
+                // Cancelled requests say nothing about upstream health
+                if (error.code === 'FIXTURE_NOT_FOUND' || isAbortError(error)) {
+                    upstreamBreaker.release();
+                } else {
+                    upstreamBreaker.recordFailure(error);
+                }
+                throw error;
+            }
+
+            // Any response below 500 means the upstream is reachable
+            upstreamBreaker.recordSuccess();
 
             if (response.status === 200) {
                 return response.data;
@@ -35,20 +112,34 @@ async function fetchHTML(url, options = {}) {
 
             if (response.status === 429) {
                 // Rate limited - wait and retry
+                lastError = new Error('HTTP 429');
                 const waitTime = retryDelay * attempt;
                 console.log(`[Request] Rate limited, waiting ${waitTime}ms before retry ${attempt}/${maxRetries}`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
+                await abortableDelay(waitTime, signal);
                 continue;
             }
 
+            if (response.status === 404 || response.status === 410) {
+                const error = new Error(`HTTP ${response.status} for ${url}`);
+                error.code = 'NOT_FOUND';
+                error.status = response.status;
+                throw error;
+            }
+
             throw new Error(`HTTP ${response.status}`);
         } catch (error) {
             lastError = error;
 
+            // A missing page (or fixture) will still be missing on retry
+            if (error.code === 'NOT_FOUND' || error.code === 'FIXTURE_NOT_FOUND') throw error;
+
+            // Abandoned requests are not retried
+            throwIfAborted(signal);
+
             if (attempt < maxRetries) {
                 const waitTime = retryDelay * attempt;
                 console.log(`[Request] Attempt ${attempt}/${maxRetries} failed: ${error.message}, retrying in ${waitTime}ms`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
+                await abortableDelay(waitTime, signal);
             }
         }
     }
@@ -95,8 +186,40 @@ function createClient() {
     });
 }
 
+/**
+ * Get request layer stats
+ * @returns {object} - In-flight request stats
+ */
+function getRequestStats() {
+    return {
+        singleFlight: inflightRequests.stats(),
+        scheduler: scheduler.stats(),
+        circuitBreaker: upstreamBreaker.getState(),
+    };
+}
+
+/**
+ * Get the upstream circuit breaker state
+ * @returns {object} - Breaker state
+ */
+function getCircuitState() {
+    return upstreamBreaker.getState();
+}
+
+/**
+ * Check whether the upstream circuit is open (requests fail fast)
+ * @returns {boolean} - True if open
+ */
+function isCircuitOpen() {
+    return upstreamBreaker.isOpen();
+}
+
 module.exports = {
+    Priority,
     fetchHTML,
     fetchHTMLConcurrent,
     createClient,
+    getRequestStats,
+    getCircuitState,
+    isCircuitOpen,
 };
@@ -0,0 +1,198 @@
+/**
+ * Scheduler Utility - Per-host politeness queue with priority lanes
+ */
+
+const { abortError } = require('./deadline');
+
+/**
+ * Priority lanes, served in this order
+ */
+const Priority = {
+    HIGH: 'high',
+    NORMAL: 'normal',
+    LOW: 'low',
+};
+
+const LANES = [Priority.HIGH, Priority.NORMAL, Priority.LOW];
+
+/**
+ * Check whether a priority is served before another
+ * @param {string} priority - Priority lane
+ * @param {string} other - Priority lane to compare with
+ * @returns {boolean} - True if priority is more urgent than other
+ */
+function isMoreUrgent(priority, other) {
+    return LANES.includes(priority) && LANES.indexOf(priority) < LANES.indexOf(other);
+}
+
+/**
+ * Host Scheduler class - limits concurrency and spaces out requests per host
+ */
+class HostScheduler {
+    /**
+     * Create a new HostScheduler
+     * @param {object} options - Scheduler options
+     * @param {number} options.maxConcurrency - Max in-flight requests per host
+     * @param {number} options.minInterval - Min milliseconds between request starts per host
+     */
+    constructor(options = {}) {
+        this.maxConcurrency = Math.max(1, options.maxConcurrency || 4);
+        this.minInterval = Math.max(0, options.minInterval || 0);
+        this.hosts = new Map();
+    }
+
+    /**
+     * Get (or create) the queue state for a host
+     * @param {string} host - Host name
+     * @returns {object} - Host state
+     */
+    getHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                active: 0,
+                lastStart: 0,
+                timer: null,
+                completed: 0,
+                queues: { high: [], normal: [], low: [] },
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Schedule a task against the host of a URL
+     * @param {string} url - URL the task will request
+     * @param {Function} task - Async function to run when a slot is free
+     * @param {string} priority - Priority lane (high, normal, low)
+     * @param {AbortSignal} signal - Drops the task from the queue when aborted (optional)
+     * @returns {Promise<*>} - Task result
+     */
+    schedule(url, task, priority = Priority.NORMAL, signal = null) {
+        const host = getHostName(url);
+        const state = this.getHost(host);
+        const lane = LANES.includes(priority) ? priority : Priority.NORMAL;
+
+        if (signal && signal.aborted) {
+            return Promise.reject(abortError(signal));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { url, lane, task, resolve, reject };
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = state.queues[job.lane].indexOf(job);
+                    if (index > -1) {
+                        state.queues[job.lane].splice(index, 1);
+                        reject(abortError(signal));
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            state.queues[lane].push(job);
+            this.drain(state);
+        });
+    }
+
+    /**
+     * Move queued tasks for a URL up to a more urgent lane. Tasks that already
+     * started, or that wait in that lane or a more urgent one, are left alone.
+     * @param {string} url - URL the tasks will request
+     * @param {string} priority - Priority lane to move them to
+     */
+    raise(url, priority) {
+        const state = this.hosts.get(getHostName(url));
+        if (!state || !LANES.includes(priority)) return;
+
+        for (const lane of LANES.filter(name => isMoreUrgent(priority, name))) {
+            const queue = state.queues[lane];
+            for (const job of queue.filter(queued => queued.url === url)) {
+                queue.splice(queue.indexOf(job), 1);
+                job.lane = priority;
+                state.queues[priority].push(job);
+            }
+        }
+    }
+
+    /**
+     * Start queued tasks while the host has free slots
+     * @param {object} state - Host state
+     */
+    drain(state) {
+        if (state.timer) return;
+
+        while (state.active < this.maxConcurrency) {
+            const lane = LANES.find(name => state.queues[name].length > 0);
+            if (!lane) return;
+
+            const wait = state.lastStart + this.minInterval - Date.now();
+            if (wait > 0) {
+                state.timer = setTimeout(() => {
+                    state.timer = null;
+                    this.drain(state);
+                }, wait);
+                return;
+            }
+
+            const job = state.queues[lane].shift();
+            if (job.cleanup) job.cleanup();
+            state.active++;
+            state.lastStart = Date.now();
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    state.active--;
+                    state.completed++;
+                    this.drain(state);
+                });
+        }
+    }
+
+    /**
+     * Get queue depth stats per host
+     * @returns {object} - Scheduler stats
+     */
+    stats() {
+        const hosts = {};
+        for (const [host, state] of this.hosts) {
+            hosts[host] = {
+                active: state.active,
+                queued: {
+                    high: state.queues.high.length,
+                    normal: state.queues.normal.length,
+                    low: state.queues.low.length,
+                },
+                completed: state.completed,
+            };
+        }
+
+        return {
+            maxConcurrency: this.maxConcurrency,
+            minInterval: this.minInterval,
+            hosts: hosts,
+        };
+    }
+}
+
+/**
+ * Get host name from URL
+ * @param {string} url - URL
+ * @returns {string} - Host name
+ */
+function getHostName(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+module.exports = {
+    HostScheduler,
+    Priority,
+    isMoreUrgent,
+};
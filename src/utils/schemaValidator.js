@@ -0,0 +1,104 @@
+/**
+ * Schema Validator - Minimal JSON Schema (draft-07 subset) validator
+ *
+ * Supports the keywords the parser output schemas use: type (a name or a list
+ * of names, including 'null' and 'integer'), enum, properties, required, items,
+ * minItems, minLength, minimum, pattern and anyOf. Unknown keywords are ignored,
+ * so extra fields in the data never fail validation.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} - null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value against a type name ('number' also accepts integers)
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} - True if the value has the type
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in violation messages
+ * @returns {Array<object>} - Violations as { path, message }, empty when valid
+ */
+function validate(schema, value, path = '$') {
+    const errors = [];
+    if (!schema) return errors;
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => validate(option, value, path).length === 0);
+        if (!matches) errors.push({ path, message: 'does not match any allowed schema' });
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: value.length === 0 ? 'must not be empty' : `must have at least ${schema.minItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(schema.items, item, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push({ path: `${path}.${name}`, message: 'is required' });
+            }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined) {
+                errors.push(...validate(propertySchema, value[name], `${path}.${name}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate,
+    typeOf,
+};
@@ -0,0 +1,87 @@
+/**
+ * Single Flight Utility - Coalesce concurrent calls for the same key
+ */
+
+const { abortError, raceSignal } = require('./deadline');
+
+/**
+ * Create a single-flight group. While a call for a key is in flight, every
+ * other caller with the same key awaits the same promise instead of starting
+ * its own work.
+ *
+ * Each caller may pass its own AbortSignal: an aborted caller stops waiting
+ * immediately, and the shared work is only cancelled once every caller has
+ * given up on it.
+ * @returns {object} - Group with run(key, fn, signal) and stats()
+ */
+function createSingleFlight() {
+    const inflight = new Map();
+    let coalesced = 0;
+
+    return {
+        /**
+         * Run fn once per key among concurrent callers
+         * @param {string} key - Deduplication key
+         * @param {Function} fn - Async function producing the value, receives the shared AbortSignal
+         * @param {AbortSignal} signal - Caller's cancellation signal (optional)
+         * @returns {Promise<*>} - Shared result
+         */
+        run(key, fn, signal) {
+            let entry = inflight.get(key);
+
+            if (entry) {
+                coalesced++;
+            } else {
+                const controller = new AbortController();
+                entry = { controller, subscribers: 0, aborted: 0, promise: null };
+                entry.promise = Promise.resolve()
+                    .then(() => fn(controller.signal))
+                    .finally(() => {
+                        if (inflight.get(key) === entry) {
+                            inflight.delete(key);
+                        }
+                    });
+                inflight.set(key, entry);
+            }
+
+            entry.subscribers++;
+
+            if (signal) {
+                const onAbort = () => {
+                    entry.aborted++;
+                    if (entry.aborted >= entry.subscribers) {
+                        // Nobody is waiting any more - let new callers start fresh work
+                        if (inflight.get(key) === entry) {
+                            inflight.delete(key);
+                        }
+                        entry.controller.abort(abortError(signal));
+                    }
+                };
+
+                if (signal.aborted) {
+                    onAbort();
+                } else {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                    entry.promise
+                        .finally(() => signal.removeEventListener('abort', onAbort))
+                        .catch(() => {});
+                }
+            }
+
+            return raceSignal(entry.promise, signal);
+        },
+
+        /**
+         * Get in-flight stats
+         * @returns {object} - { inflight, coalesced }
+         */
+        stats() {
+            return {
+                inflight: inflight.size,
+                coalesced: coalesced,
+            };
+        },
+    };
+}
+
+module.exports = { createSingleFlight };
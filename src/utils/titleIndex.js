@@ -0,0 +1,159 @@
+/**
+ * Title Index - In-memory index of titles for search suggestions
+ *
+ * Home sections and list pages (genre, series, search results, ...) already
+ * carry the id, title and poster of every title they show. The index keeps
+ * those as they pass through the controller, so type-ahead lookups are a
+ * scan over a few thousand short strings instead of an upstream search.
+ */
+
+const config = require('../config');
+
+const TYPES = ['series', 'movie', 'cartoon'];
+
+/**
+ * Normalize a title or query for matching: lowercase, without accents and
+ * punctuation, single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeTitle(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Score how well an indexed title matches a normalized query
+ * @param {object} entry - Index entry ({ key, words })
+ * @param {string} query - Normalized query
+ * @param {Array<string>} terms - Words of the query
+ * @returns {number} - 0 for no match, higher for better matches
+ */
+function matchScore({ key, words }, query, terms) {
+    if (key === query) return 5;
+    if (key.startsWith(query)) return 4;
+    if (key.includes(` ${query}`)) return 3;
+
+    // "shippuden naru" still finds "Naruto Shippuden"
+    if (terms.every(term => words.some(word => word.startsWith(term)))) return 2;
+
+    return key.includes(query) ? 1 : 0;
+}
+
+/**
+ * Lightweight suggestion from a home or list item
+ * @param {object} item - Item with id and title
+ * @returns {object} - { id, title, poster, type, year }
+ */
+function toSuggestion(item) {
+    const type = String(item.type || '').toLowerCase();
+    const year = parseInt(item.year);
+    return {
+        id: item.id,
+        title: item.title,
+        poster: item.poster || null,
+        type: TYPES.includes(type) ? type : 'series',
+        year: Number.isNaN(year) ? null : year,
+    };
+}
+
+/**
+ * Index of titles by ID, dropping the least recently seen titles first
+ */
+class TitleIndex {
+    /**
+     * @param {object} options - { maxSize }
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || config.suggest.maxIndexSize;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add or refresh titles. Fields missing from a later sighting (list pages
+     * carry no year) keep the value seen before.
+     * @param {Array<object>} items - Items with id and title
+     */
+    add(items = []) {
+        for (const item of items) {
+            if (!item || !item.id || !item.title) continue;
+
+            const suggestion = toSuggestion(item);
+            const previous = this.entries.get(item.id);
+            if (previous) {
+                this.entries.delete(item.id);
+                suggestion.poster = suggestion.poster || previous.suggestion.poster;
+                suggestion.year = suggestion.year || previous.suggestion.year;
+            }
+            const key = normalizeTitle(item.title);
+            this.entries.set(item.id, { key, words: key.split(' '), suggestion });
+
+            if (this.entries.size > this.maxSize) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+    }
+
+    /**
+     * Add the titles of a home result or a list page
+     * @param {object} result - Home result (sections of items) or list page ({ items })
+     */
+    addResult(result) {
+        if (!result || !result.success) return;
+
+        if (Array.isArray(result.items)) {
+            this.add(result.items);
+            return;
+        }
+        Object.values(result)
+            .filter(value => Array.isArray(value))
+            .forEach(section => this.add(section));
+    }
+
+    /**
+     * Find titles matching a query, best matches first, then shorter titles
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array<object>} - Suggestions
+     */
+    search(query, limit = config.suggest.defaultLimit) {
+        const needle = normalizeTitle(query);
+        if (!needle) return [];
+
+        const terms = needle.split(' ');
+        const matches = [];
+        for (const entry of this.entries.values()) {
+            const score = matchScore(entry, needle, terms);
+            if (score > 0) matches.push({ score, length: entry.key.length, suggestion: entry.suggestion });
+        }
+
+        return matches
+            .sort((a, b) => b.score - a.score || a.length - b.length)
+            .slice(0, limit)
+            .map(match => match.suggestion);
+    }
+
+    /**
+     * Remove every title
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+const titleIndex = new TitleIndex();
+
+module.exports = {
+    TitleIndex,
+    titleIndex,
+    normalizeTitle,
+    toSuggestion,
+};
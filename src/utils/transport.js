@@ -0,0 +1,170 @@
+/**
+ * Transport Utility - Pluggable upstream transport with record/replay support
+ *
+ * Every upstream request made by fetchHTML goes through the active transport:
+ * - live:   plain axios request to animesalt.cc
+ * - record: live request, each response is also saved to the fixtures directory
+ * - replay: responses are served from the fixtures directory, no network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Build the fixture file path for a URL
+ * @param {string} dir - Fixtures directory
+ * @param {string} url - Upstream URL
+ * @returns {string} - Absolute fixture path
+ */
+function getFixturePath(dir, url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 12);
+    const slug = url
+        .replace(/^https?:\/\/[^/]+/, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 80) || 'index';
+    return path.join(dir, `${slug}-${hash}.json`);
+}
+
+/**
+ * Convert axios response headers to a plain object
+ * @param {object} headers - Axios headers
+ * @returns {object} - Plain header object
+ */
+function toPlainHeaders(headers) {
+    if (!headers) return {};
+    if (typeof headers.toJSON === 'function') return headers.toJSON();
+    return { ...headers };
+}
+
+/**
+ * Live transport - performs real HTTP requests with axios
+ */
+const httpTransport = {
+    mode: 'live',
+
+    /**
+     * Perform a GET request
+     * @param {string} url - URL to fetch
+     * @param {object} options - Axios request options
+     * @returns {Promise<object>} - { status, headers, data }
+     */
+    async get(url, options = {}) {
+        const response = await axios.get(url, options);
+        return {
+            status: response.status,
+            headers: toPlainHeaders(response.headers),
+            data: response.data,
+        };
+    },
+};
+
+/**
+ * Create a transport that records every response of an inner transport
+ * @param {string} dir - Fixtures directory
+ * @param {object} inner - Transport performing the real request
+ * @returns {object} - Recording transport
+ */
+function createRecordTransport(dir, inner = httpTransport) {
+    return {
+        mode: 'record',
+        fixturesDir: dir,
+
+        async get(url, options = {}) {
+            const response = await inner.get(url, options);
+
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                const fixture = {
+                    url: url,
+                    status: response.status,
+                    headers: response.headers,
+                    body: response.data,
+                    recordedAt: new Date().toISOString(),
+                };
+                fs.writeFileSync(getFixturePath(dir, url), JSON.stringify(fixture, null, 2));
+            } catch (error) {
+                console.error(`[Transport] Failed to record ${url}:`, error.message);
+            }
+
+            return response;
+        },
+    };
+}
+
+/**
+ * Create a transport that serves previously recorded responses
+ * @param {string} dir - Fixtures directory
+ * @returns {object} - Replaying transport
+ */
+function createReplayTransport(dir) {
+    return {
+        mode: 'replay',
+        fixturesDir: dir,
+
+        async get(url) {
+            const fixturePath = getFixturePath(dir, url);
+
+            if (!fs.existsSync(fixturePath)) {
+                const error = new Error(`No recorded fixture for ${url}`);
+                error.code = 'FIXTURE_NOT_FOUND';
+                throw error;
+            }
+
+            const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+            return {
+                status: fixture.status,
+                headers: fixture.headers || {},
+                data: fixture.body,
+            };
+        },
+    };
+}
+
+/**
+ * Create a transport for the given mode
+ * @param {string} mode - live, record or replay
+ * @param {string} dir - Fixtures directory
+ * @returns {object} - Transport
+ */
+function createTransport(mode = 'live', dir = config.transport.fixturesDir) {
+    switch ((mode || 'live').toLowerCase()) {
+        case 'record':
+            return createRecordTransport(dir);
+        case 'replay':
+            return createReplayTransport(dir);
+        default:
+            return httpTransport;
+    }
+}
+
+let activeTransport = createTransport(config.transport.mode, config.transport.fixturesDir);
+
+/**
+ * Get the active transport
+ * @returns {object} - Transport
+ */
+function getTransport() {
+    return activeTransport;
+}
+
+/**
+ * Replace the active transport
+ * @param {object} transport - Transport with a get(url, options) method
+ */
+function setTransport(transport) {
+    activeTransport = transport || httpTransport;
+}
+
+module.exports = {
+    httpTransport,
+    createRecordTransport,
+    createReplayTransport,
+    createTransport,
+    getTransport,
+    setTransport,
+    getFixturePath,
+};
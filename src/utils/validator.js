@@ -5,6 +5,57 @@
 
 const config = require('../config');
 
+/**
+ * Validation rules, shared with the OpenAPI document so the spec always
+ * matches what the API accepts
+ */
+const rules = {
+    id: {
+        pattern: /^[a-zA-Z0-9\-_]+$/,
+    },
+    episodeId: {
+        pattern: /^[a-zA-Z0-9\-]+-\d+x\d+$/,
+    },
+    episode: {
+        pattern: /^(\d+|\d+[xX]\d+)$/,
+    },
+    page: {
+        minimum: 1,
+        default: 1,
+    },
+    pageSize: {
+        minimum: 1,
+        maximum: config.pagination.maxPageSize,
+        default: config.pagination.defaultPageSize,
+    },
+    limit: {
+        minimum: 1,
+        maximum: config.suggest.maxLimit,
+        default: config.suggest.defaultLimit,
+    },
+    letter: {
+        pattern: /^[A-Za-z0-9]$/,
+    },
+    searchQuery: {
+        minLength: 2,
+        maxLength: 200,
+    },
+    language: {
+        values: ['hindi', 'english', 'tamil', 'telugu', 'malayalam', 'bengali', 'japanese', 'korean', 'chinese'],
+        default: 'hindi',
+    },
+    genre: {
+        values: config.validGenres,
+    },
+    cartoonType: {
+        values: ['series', 'movies', 'shorts', 'specials', 'crossovers'],
+        default: 'series',
+    },
+    server: {
+        pattern: /^[a-zA-Z0-9 ._()-]{1,50}$/,
+    },
+};
+
 /**
  * Validate anime/movie ID format
  * @param {string} id - The ID to validate
@@ -28,8 +79,7 @@ function validateId(id) {
     
     // ID should contain only alphanumeric characters, hyphens, and underscores
     // This prevents path traversal and injection attacks
-    const idPattern = /^[a-zA-Z0-9\-_]+$/;
-    if (!idPattern.test(id)) {
+    if (!rules.id.pattern.test(id)) {
         return { isValid: false, error: 'ID contains invalid characters. Only alphanumeric, hyphens, and underscores are allowed.' };
     }
     
@@ -59,7 +109,7 @@ function validateId(id) {
  * @returns {object} - Validation result
  */
 function validatePage(page) {
-    const defaultPage = 1;
+    const defaultPage = rules.page.default;
     
     if (page === undefined || page === null) {
         return { isValid: true, value: defaultPage };
@@ -71,14 +121,10 @@ function validatePage(page) {
         return { isValid: true, value: defaultPage };
     }
     
-    if (pageNum < 1) {
+    if (pageNum < rules.page.minimum) {
         return { isValid: true, value: defaultPage };
     }
     
-    if (pageNum > config.response.maxPages) {
-        return { isValid: true, value: config.response.maxPages };
-    }
-    
     return { isValid: true, value: pageNum };
 }
 
@@ -88,8 +134,8 @@ function validatePage(page) {
  * @returns {object} - Validation result
  */
 function validatePageSize(pageSize) {
-    const defaultSize = config.pagination.defaultPageSize;
-    const maxSize = config.pagination.maxPageSize;
+    const defaultSize = rules.pageSize.default;
+    const maxSize = rules.pageSize.maximum;
     
     if (pageSize === undefined || pageSize === null) {
         return { isValid: true, value: defaultSize };
@@ -101,7 +147,7 @@ function validatePageSize(pageSize) {
         return { isValid: true, value: defaultSize };
     }
     
-    if (size < 1) {
+    if (size < rules.pageSize.minimum) {
         return { isValid: true, value: defaultSize };
     }
     
@@ -112,6 +158,21 @@ function validatePageSize(pageSize) {
     return { isValid: true, value: size };
 }
 
+/**
+ * Validate suggestion limit parameter
+ * @param {number|string} limit - The limit to validate
+ * @returns {object} - Validation result, out-of-range values are clamped
+ */
+function validateLimit(limit) {
+    const size = parseInt(limit);
+
+    if (isNaN(size) || size < rules.limit.minimum) {
+        return { isValid: true, value: rules.limit.default };
+    }
+
+    return { isValid: true, value: Math.min(size, rules.limit.maximum) };
+}
+
 /**
  * Validate letter parameter
  * @param {string} letter - The letter to validate
@@ -133,8 +194,7 @@ function validateLetter(letter) {
     }
     
     // Allow letters A-Z or digits 0-9
-    const validPattern = /^[A-Z0-9]$/;
-    if (!validPattern.test(letter)) {
+    if (!rules.letter.pattern.test(letter)) {
         return { isValid: false, error: 'Letter must be A-Z or 0-9' };
     }
     
@@ -147,8 +207,7 @@ function validateLetter(letter) {
  * @returns {object} - Validation result
  */
 function validateSearchQuery(query) {
-    const minLength = 2;
-    const maxLength = 200;
+    const { minLength, maxLength } = rules.searchQuery;
     
     if (!query) {
         return { isValid: false, error: 'Search query is required' };
@@ -201,10 +260,7 @@ function validateEpisode(episode) {
     }
     
     // Validate format: either just number (e.g., "5") or "SxEP" format (e.g., "1x5")
-    const simpleNumPattern = /^\d+$/;
-    const seasonEpPattern = /^\d+x\d+$/i;
-    
-    if (simpleNumPattern.test(episode) || seasonEpPattern.test(episode)) {
+    if (rules.episode.pattern.test(episode)) {
         return { isValid: true, value: episode };
     }
     
@@ -217,7 +273,7 @@ function validateEpisode(episode) {
  * @returns {object} - Validation result
  */
 function validateLanguage(lang) {
-    const defaultLang = 'hindi';
+    const defaultLang = rules.language.default;
     
     if (!lang) {
         return { isValid: true, value: defaultLang };
@@ -230,9 +286,7 @@ function validateLanguage(lang) {
     const normalized = lang.trim().toLowerCase();
     
     // Only allow known languages to prevent injection
-    const validLanguages = ['hindi', 'english', 'tamil', 'telugu', 'malayalam', 'bengali', 'japanese', 'korean', 'chinese'];
-    
-    if (validLanguages.includes(normalized)) {
+    if (rules.language.values.includes(normalized)) {
         return { isValid: true, value: normalized };
     }
     
@@ -256,7 +310,7 @@ function validateGenre(genre) {
     const normalized = genre.trim().toLowerCase().replace(/\s+/g, '-');
     
     // Check if it's a valid genre
-    if (config.validGenres.includes(normalized)) {
+    if (rules.genre.values.includes(normalized)) {
         return { isValid: true, value: normalized };
     }
     
@@ -269,7 +323,7 @@ function validateGenre(genre) {
  * @returns {object} - Validation result
  */
 function validateCartoonType(type) {
-    const defaultType = 'series';
+    const defaultType = rules.cartoonType.default;
     
     if (!type) {
         return { isValid: true, value: defaultType };
@@ -281,15 +335,43 @@ function validateCartoonType(type) {
     
     const normalized = type.trim().toLowerCase();
     
-    const validTypes = ['series', 'movies', 'shorts', 'specials', 'crossovers'];
-    
-    if (validTypes.includes(normalized)) {
+    if (rules.cartoonType.values.includes(normalized)) {
         return { isValid: true, value: normalized };
     }
     
     return { isValid: true, value: defaultType };
 }
 
+/**
+ * Validate server parameter: a 1-based server number or a server name
+ * @param {string} server - The server to validate
+ * @returns {object} - Validation result, value is null when no server is given
+ */
+function validateServer(server) {
+    if (server === undefined || server === '') {
+        return { isValid: true, value: null };
+    }
+
+    if (typeof server !== 'string') {
+        return { isValid: false, error: 'Server must be given once' };
+    }
+
+    const normalized = server.trim();
+
+    if (!rules.server.pattern.test(normalized)) {
+        return { isValid: false, error: 'Server must be a server number or name of up to 50 characters' };
+    }
+
+    if (/^\d+$/.test(normalized)) {
+        const number = parseInt(normalized);
+        return number >= 1
+            ? { isValid: true, value: number }
+            : { isValid: false, error: 'Server numbers start at 1' };
+    }
+
+    return { isValid: true, value: normalized.toLowerCase() };
+}
+
 /**
  * Sanitize string to prevent XSS
  * @param {string} str - The string to sanitize
@@ -328,9 +410,7 @@ function validateEpisodeId(episodeId) {
     episodeId = episodeId.trim();
     
     // Expected format: anime-id-1x5 or similar
-    const pattern = /^[a-zA-Z0-9\-]+-\d+x\d+$/;
-    
-    if (!pattern.test(episodeId)) {
+    if (!rules.episodeId.pattern.test(episodeId)) {
         return { isValid: false, error: 'Invalid episode ID format. Expected format: anime-id-1x5' };
     }
     
@@ -338,15 +418,18 @@ function validateEpisodeId(episodeId) {
 }
 
 module.exports = {
+    rules,
     validateId,
     validatePage,
     validatePageSize,
+    validateLimit,
     validateLetter,
     validateSearchQuery,
     validateEpisode,
     validateLanguage,
     validateGenre,
     validateCartoonType,
+    validateServer,
     sanitizeString,
     validateEpisodeId,
 };
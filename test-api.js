@@ -300,8 +300,79 @@ async function runAllTests() {
         },
         'Test random anime selection'
     );
-    
-    // 13. Documentation Endpoint
+
+    // 13. GraphQL Endpoint - One round trip for info, seasons and episodes
+    await runTest(
+        'GraphQL Series Page',
+        '/graphql?query=' + encodeURIComponent('{ anime(id: "naruto-shippuden") { title seasons { season } episodes(season: 1) { id title } } }'),
+        (data, status) => {
+            const anime = data.data && data.data.anime;
+            const hasEpisodes = !!anime && Array.isArray(anime.episodes) && anime.episodes.length > 0;
+            console.log(`   Title: ${anime?.title}`);
+            console.log(`   Episodes: ${anime?.episodes?.length || 0}`);
+            if (data.errors) {
+                console.log(`   Errors: ${data.errors.map(e => e.message).join(', ')}`);
+            }
+            return status === 200 && hasEpisodes;
+        },
+        'Test GraphQL query over info and episodes'
+    );
+
+    // 14. Batch Info - Several titles in one request
+    await runTest(
+        'Batch Info',
+        '/api/info?ids=naruto-shippuden,demon-slayer-movie-mugen-train',
+        (data, status) => {
+            const items = data.data && data.data.results;
+            const hasResults = Array.isArray(items) && items.length === 2;
+            console.log(`   Summary: ${JSON.stringify(data.data?.summary)}`);
+            if (hasResults) {
+                items.forEach(item => console.log(`   ${item.id}: ${item.success ? item.data.title : item.error.errorCode}`));
+            }
+            return hasResults && items.every(item => item.success);
+        },
+        'Test batch lookup of several IDs'
+    );
+
+    // 15. Complete Title - Info, seasons and episodes in one request
+    await runTest(
+        'Complete Title',
+        '/api/anime/naruto-shippuden/full',
+        (data, status) => {
+            const hasInfo = data.success && data.info && !!data.info.title;
+            const hasEpisodes = Array.isArray(data.episodes) && data.episodes.length > 0;
+            console.log(`   Title: ${data.info?.title}`);
+            console.log(`   Seasons: ${data.totalSeasons}, Episodes: ${data.totalEpisodes}`);
+            return hasInfo && hasEpisodes;
+        },
+        'Test composite info and episodes endpoint'
+    );
+
+    // 16. Characters - Cast with voice actors grouped by dub language
+    await runTest(
+        'Characters',
+        '/api/info/naruto-shippuden/characters',
+        (data, status) => {
+            const hasList = data.success && Array.isArray(data.characters) && !!data.pagination;
+            console.log(`   Characters: ${data.pagination?.totalItems}, Languages: ${(data.languages || []).join(', ')}`);
+            return hasList;
+        },
+        'Test character list endpoint'
+    );
+
+    // 17. Search Suggestions - Type-ahead from the title index
+    await runTest(
+        'Search Suggestions',
+        '/api/search/suggest?q=naru&limit=5',
+        (data, status) => {
+            const suggestions = data.suggestions || [];
+            console.log(`   Source: ${data.source}, Suggestions: ${suggestions.map(s => s.title).join(', ')}`);
+            return data.success && suggestions.length > 0 && suggestions.length <= 5;
+        },
+        'Test search suggestions endpoint'
+    );
+
+    // 18. Documentation Endpoint
     await runTest(
         'API Documentation',
         '/docs',
@@ -0,0 +1,209 @@
+/**
+ * AnimeSalt API Test Helpers
+ * Shared by the offline test scripts (test-contracts.js, test-replay.js,
+ * test-pagination.js, test-redis.js): the banner, result tracking, JSON
+ * requests against the app under test and the summary.
+ */
+
+const http = require('http');
+
+// Test results tracker
+const results = {
+    passed: 0,
+    failed: 0,
+    skipped: 0,
+    tests: []
+};
+
+/**
+ * Print the banner of a test script
+ * @param {string} title - Script title
+ * @param {Array<string>} details - Lines printed under the banner
+ */
+function printBanner(title, details = []) {
+    console.log('==========================================');
+    console.log(`   AnimeSalt API - ${title}`);
+    console.log('==========================================');
+    details.forEach(line => console.log(line));
+    console.log('');
+}
+
+/**
+ * Record a passed test
+ * @param {string} name - Test name
+ * @param {string} note - Printed after PASSED (optional)
+ */
+function pass(name, note = '') {
+    console.log(`   ✅ PASSED${note ? `: ${note}` : ''}`);
+    results.passed++;
+    results.tests.push({ name, status: 'passed' });
+}
+
+/**
+ * Record a failed test
+ * @param {string} name - Test name
+ * @param {string} error - Why it failed
+ */
+function fail(name, error) {
+    console.log(`   ❌ FAILED: ${error}`);
+    results.failed++;
+    results.tests.push({ name, status: 'failed', error });
+}
+
+/**
+ * Record a skipped test
+ * @param {string} name - Test name
+ * @param {string} reason - Why it was skipped
+ */
+function skip(name, reason) {
+    console.log(`   ⏭️  SKIPPED: ${reason}`);
+    results.skipped++;
+    results.tests.push({ name, status: 'skipped', error: reason });
+}
+
+/**
+ * Run one test
+ * @param {string} name - Test name
+ * @param {Function} test - Async function returning an error message, or null when it passes
+ */
+async function runTest(name, test) {
+    console.log(`\n🧪 Testing: ${name}`);
+
+    let error;
+    try {
+        error = await test();
+    } catch (err) {
+        error = err.message;
+    }
+
+    if (error) {
+        fail(name, error);
+    } else {
+        pass(name);
+    }
+}
+
+/**
+ * Boot an app on a free local port
+ * @param {object} app - Express app
+ * @returns {Promise<object>} - { server, baseUrl }
+ */
+async function listen(app) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * GET a JSON endpoint of the running app
+ * @param {string} baseUrl - App base URL
+ * @param {string} endpoint - Path and query
+ * @returns {Promise<object>} - { status, headers, data }
+ */
+function request(baseUrl, endpoint) {
+    return new Promise((resolve, reject) => {
+        http.get(new URL(endpoint, baseUrl).href, (res) => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => {
+                try {
+                    resolve({ status: res.statusCode, headers: res.headers, data: JSON.parse(body) });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Request an endpoint and check the response
+ * @param {string} baseUrl - App base URL
+ * @param {string} name - Test name
+ * @param {string} endpoint - Path and query
+ * @param {Function} check - (data, headers) => error message, or null when the response is fine
+ * @returns {Promise<object|null>} - Response data
+ */
+async function runEndpointTest(baseUrl, name, endpoint, check) {
+    console.log(`\n🧪 Testing: ${name}`);
+    console.log(`   Endpoint: ${endpoint}`);
+
+    let data = null;
+    let error;
+    try {
+        const response = await request(baseUrl, endpoint);
+        data = response.data;
+        error = response.status !== 200
+            ? `HTTP ${response.status}: ${data.error || ''}`
+            : check(data, response.headers);
+    } catch (err) {
+        error = err.message;
+    }
+
+    if (error) {
+        fail(name, error);
+    } else {
+        pass(name);
+    }
+    return data;
+}
+
+/**
+ * Print the results summary and exit, non-zero when a test failed
+ * @param {object} summary - Extra output ({ lines, notes })
+ * @param {Array<string>} summary.lines - Lines printed under the counts
+ * @param {Array<string>} summary.notes - Lines printed after the failed tests
+ */
+function printSummary(summary = {}) {
+    console.log('\n==========================================');
+    console.log('   Test Results Summary');
+    console.log('==========================================');
+    console.log(`   ✅ Passed: ${results.passed}`);
+    console.log(`   ❌ Failed: ${results.failed}`);
+    if (results.skipped > 0) {
+        console.log(`   ⏭️  Skipped: ${results.skipped}`);
+    }
+    (summary.lines || []).forEach(line => console.log(`   ${line}`));
+    console.log('');
+
+    if (results.failed > 0) {
+        console.log('   Failed Tests:');
+        results.tests.filter(t => t.status === 'failed').forEach(t => {
+            console.log(`   - ${t.name}: ${t.error || 'Unknown error'}`);
+        });
+        console.log('');
+    }
+
+    if (summary.notes && summary.notes.length > 0) {
+        summary.notes.forEach(line => console.log(`   ${line}`));
+        console.log('');
+    }
+
+    console.log('==========================================');
+
+    process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Run a test script and print its summary
+ * @param {Function} runAllTests - Async function running the tests, may resolve to printSummary options
+ */
+function run(runAllTests) {
+    runAllTests()
+        .then(summary => printSummary(summary))
+        .catch(err => {
+            console.error('Test runner error:', err);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    printBanner,
+    pass,
+    fail,
+    skip,
+    runTest,
+    listen,
+    runEndpointTest,
+    run,
+};
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * AnimeSalt API Pagination Test
+ * Serves a synthetic 15-page genre listing through the transport and checks
+ * that list endpoints map page numbers onto it without an upper limit:
+ * - page 1, page 11 (past the old 10-page cap) and the last page
+ * - a page past the end is empty, not the last page again
+ * - cursors continue from page 11
+ */
+
+const transport = require('./src/utils/transport');
+const createApp = require('./src/app');
+const { printBanner, listen, runEndpointTest, run } = require('./test-helpers');
+
+const BASE = 'https://animesalt.cc';
+const UPSTREAM_PAGES = 15;
+const PER_PAGE = 20;
+
+/**
+ * Build one page of the synthetic /category/genre/action listing
+ * @param {number} page - Upstream page number
+ * @returns {string} - HTML
+ */
+function listingPage(page) {
+    const posts = Array.from({ length: PER_PAGE }, (_, i) => {
+        const id = `action-title-${page}-${i + 1}`;
+        return `<article class="post"><a class="lnk-blk" href="${BASE}/series/${id}/"></a>` +
+            `<img src="//image.tmdb.org/t/p/w500/${id}.jpg" alt="Image Action Title ${page} ${i + 1}">` +
+            `<h2 class="entry-title">Action Title ${page} ${i + 1}</h2></article>`;
+    }).join('\n');
+    const links = Array.from({ length: UPSTREAM_PAGES }, (_, i) => i + 1)
+        .map(n => `<a class="page-numbers" href="${BASE}/category/genre/action/page/${n}/">${n}</a>`)
+        .join(' ');
+    return `<!DOCTYPE html><html><body><h1>Action</h1>\n${posts}\n<nav class="pagination">${links}</nav></body></html>`;
+}
+
+// Answer the listing pages, 404 for anything else
+transport.setTransport({
+    mode: 'test',
+    async get(url) {
+        const match = url.match(/\/category\/genre\/action(?:\/page\/(\d+))?$/);
+        const page = match ? parseInt(match[1] || '1') : 0;
+        if (page < 1 || page > UPSTREAM_PAGES) {
+            return { status: 404, headers: {}, data: '' };
+        }
+        return { status: 200, headers: { 'content-type': 'text/html' }, data: listingPage(page) };
+    },
+});
+
+printBanner('Pagination Test', [`Synthetic listing: ${UPSTREAM_PAGES} pages of ${PER_PAGE} titles`]);
+
+/**
+ * Check that a list response is the given page of the synthetic listing
+ * @param {object} data - List response
+ * @param {number} page - Expected page
+ * @returns {string|null} - Error message, or null
+ */
+function isPage(data, page) {
+    if (data.page !== page) return `expected page ${page}, got page ${data.page}`;
+    if (data.totalPages !== UPSTREAM_PAGES) return `expected ${UPSTREAM_PAGES} pages, got ${data.totalPages}`;
+    const first = data.items[0] && data.items[0].id;
+    return first === `action-title-${page}-1` ? null : `page starts with ${first}`;
+}
+
+async function runAllTests() {
+    const { server, baseUrl } = await listen(createApp());
+
+    await runEndpointTest(baseUrl, 'First page', '/api/genre/action?page=1', data => isPage(data, 1));
+
+    const page11 = await runEndpointTest(baseUrl, 'Page 11', '/api/genre/action?page=11', data => isPage(data, 11));
+
+    await runEndpointTest(baseUrl, 'Last page', `/api/genre/action?page=${UPSTREAM_PAGES}`, (data) => {
+        return isPage(data, UPSTREAM_PAGES) || (data.pagination.hasNextPage ? 'last page has a next page' : null);
+    });
+
+    await runEndpointTest(baseUrl, 'Past the last page', `/api/genre/action?page=${UPSTREAM_PAGES + 1}`, (data) => {
+        if (data.page !== UPSTREAM_PAGES + 1) return `expected page ${UPSTREAM_PAGES + 1}, got page ${data.page}`;
+        return data.items.length === 0 ? null : `got ${data.items.length} items`;
+    });
+
+    if (page11 && page11.pagination && page11.pagination.nextCursor) {
+        await runEndpointTest(baseUrl, 'Cursor after page 11', `/api/genre/action?cursor=${page11.pagination.nextCursor}`, data => isPage(data, 12));
+    }
+
+    server.close();
+}
+
+run(runAllTests);
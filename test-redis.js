@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+/**
+ * AnimeSalt API Redis Backend Test
+ * Runs the Redis cache backend against a scripted Redis-protocol server in
+ * this process, so no redis-server is needed:
+ * - entries, tags, key listing and clearing round-trip
+ * - a shorter-lived entry does not shorten the TTL of its tag sets
+ * - replies split into single bytes still parse
+ * - error replies fail the command and the cache falls back to memory
+ * - a dropped connection is re-established for later commands
+ * - an unreachable server fails commands within the command timeout
+ */
+
+const net = require('net');
+const { RedisBackend } = require('./src/utils/redisBackend');
+const { CacheService, MemoryBackend } = require('./src/utils/cache');
+const { printBanner, runTest, run } = require('./test-helpers');
+
+printBanner('Redis Backend Test');
+
+/**
+ * Encode a reply value in RESP
+ * @param {*} value - String, integer, null, array or Error
+ * @returns {string} - Encoded reply
+ */
+function encodeReply(value) {
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Read the complete commands (arrays of bulk strings) at the start of a buffer
+ * @param {Buffer} buffer - Received data
+ * @returns {object} - { commands, rest }
+ */
+function readCommands(buffer) {
+    const commands = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const args = [];
+        let lineEnd = buffer.indexOf('\r\n', offset);
+        if (lineEnd === -1) break;
+        const count = parseInt(buffer.toString('utf8', offset + 1, lineEnd));
+        let next = lineEnd + 2;
+
+        for (let i = 0; i < count; i++) {
+            lineEnd = buffer.indexOf('\r\n', next);
+            if (lineEnd === -1) break;
+            const length = parseInt(buffer.toString('utf8', next + 1, lineEnd));
+            if (buffer.length < lineEnd + 2 + length + 2) break;
+            args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+            next = lineEnd + 2 + length + 2;
+        }
+        if (args.length < count) break;
+
+        commands.push(args);
+        offset = next;
+    }
+
+    return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Redis-protocol server keeping strings and sets in memory. TTLs are recorded
+ * for PTTL but keys never expire.
+ */
+class ScriptedRedis {
+    constructor() {
+        this.data = new Map();
+        this.ttls = new Map();
+        this.sockets = new Set();
+        this.failCommands = new Set();   // command names answered with an error
+        this.splitReplies = false;       // write replies one byte at a time
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port)));
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            const { commands, rest } = readCommands(Buffer.concat([buffer, chunk]));
+            buffer = rest;
+            const reply = commands.map(args => encodeReply(this.run(args))).join('');
+            this.write(socket, reply);
+        });
+    }
+
+    write(socket, reply) {
+        if (!this.splitReplies) {
+            socket.write(reply);
+            return;
+        }
+        const bytes = Buffer.from(reply);
+        let index = 0;
+        const writeNext = () => {
+            if (index >= bytes.length || socket.destroyed) return;
+            socket.write(bytes.subarray(index, ++index));
+            setImmediate(writeNext);
+        };
+        writeNext();
+    }
+
+    run([name, ...args]) {
+        const command = name.toUpperCase();
+        if (this.failCommands.has(command)) return new Error(`ERR scripted failure of ${command}`);
+
+        switch (command) {
+            case 'INFO':
+                return '# Server\r\nredis_version:7.0.0\r\nloading:0\r\n';
+            case 'GET':
+                return this.data.has(args[0]) ? this.data.get(args[0]) : null;
+            case 'SET':
+                this.data.set(args[0], args[1]);
+                return 'OK';
+            case 'DEL':
+                args.forEach(key => this.ttls.delete(key));
+                return args.filter(key => this.data.delete(key)).length;
+            case 'SADD': {
+                const members = this.data.get(args[0]) || new Set();
+                this.data.set(args[0], members);
+                return args.slice(1).filter(member => !members.has(member) && members.add(member)).length;
+            }
+            case 'SMEMBERS':
+                return [...(this.data.get(args[0]) || [])];
+            case 'PEXPIRE': {
+                if (!this.data.has(args[0])) return 0;
+                const ttl = parseInt(args[1]);
+                const current = this.ttls.get(args[0]);
+                const option = (args[2] || '').toUpperCase();
+                // No TTL counts as infinite, as in Redis
+                if (option === 'NX' && current !== undefined) return 0;
+                if (option === 'GT' && (current === undefined || ttl <= current)) return 0;
+                this.ttls.set(args[0], ttl);
+                return 1;
+            }
+            case 'PTTL':
+                if (!this.data.has(args[0])) return -2;
+                return this.ttls.has(args[0]) ? this.ttls.get(args[0]) : -1;
+            case 'SCAN': {
+                // MATCH patterns are an escaped prefix followed by *
+                const prefix = args[2].slice(0, -1).replace(/\\(.)/g, '$1');
+                return ['0', [...this.data.keys()].filter(key => key.startsWith(prefix))];
+            }
+            default:
+                return 'OK';
+        }
+    }
+
+    // Drop every client connection
+    dropConnections() {
+        for (const socket of this.sockets) socket.destroy();
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+/**
+ * Entry as the cache service stores it
+ * @param {*} value - Value
+ * @param {Array<string>} tags - Tags
+ * @param {number} ttl - TTL in ms
+ * @returns {object} - Entry
+ */
+function entry(value, tags = [], ttl = 60000) {
+    const now = Date.now();
+    return { namespace: 'info', value, storedAt: now, expiresAt: now + ttl, ttl, tags };
+}
+
+async function runAllTests() {
+    const redis = new ScriptedRedis();
+    const port = await redis.listen();
+    const backend = new RedisBackend({
+        url: `redis://127.0.0.1:${port}`,
+        keyPrefix: 'test:',
+        connectTimeout: 1000,
+        commandTimeout: 500,
+    });
+
+    await runTest('Round trip', async () => {
+        await backend.set('info:naruto', entry({ title: 'Naruto' }, ['naruto']));
+        await backend.set('episodes:naruto', entry({ episodes: [] }, ['naruto']));
+        await backend.set('info:one-piece', entry({ title: 'One Piece' }));
+
+        const stored = await backend.get('info:naruto');
+        if (!stored || stored.value.title !== 'Naruto') return `got ${JSON.stringify(stored)}`;
+        if (stored.tags[0] !== 'naruto') return 'tags were not stored';
+
+        const keys = (await backend.keys('info:')).sort();
+        if (keys.join(',') !== 'info:naruto,info:one-piece') return `keys ${keys.join(',')}`;
+
+        const removed = await backend.deleteTag('naruto');
+        if (removed !== 2) return `deleteTag removed ${removed} entries`;
+        if (await backend.get('info:naruto')) return 'tagged entry still readable';
+
+        const cleared = await backend.clear('');
+        return cleared === 1 ? null : `clear removed ${cleared} entries`;
+    });
+
+    await runTest('Tag set TTL only grows', async () => {
+        const tagKey = 'test:#tag:bleach';
+        await backend.set('info:bleach', entry({ title: 'Bleach' }, ['bleach'], 60000));
+        await backend.set('stream:bleach-1x1:hindi', entry({ sources: [] }, ['bleach'], 5000));
+        const ttl = await backend.client.pttl(tagKey);
+        await backend.deleteTag('bleach');
+        return ttl === 60000 ? null : `tag set TTL is ${ttl}, expected 60000`;
+    });
+
+    await runTest('Replies split into single bytes', async () => {
+        const title = 'Jujutsu Kaisen ✓ — 呪術廻戦';
+        await backend.set('info:jjk', entry({ title }));
+
+        redis.splitReplies = true;
+        try {
+            const [stored, keys] = await Promise.all([backend.get('info:jjk'), backend.keys('info:')]);
+            if (!stored || stored.value.title !== title) return `got ${JSON.stringify(stored)}`;
+            return keys.join(',') === 'info:jjk' ? null : `keys ${keys.join(',')}`;
+        } finally {
+            redis.splitReplies = false;
+        }
+    });
+
+    await runTest('Error replies', async () => {
+        redis.failCommands.add('GET');
+        try {
+            const error = await backend.get('info:jjk').then(() => null, err => err);
+            if (!error || !/scripted failure of GET/.test(error.message)) return `got ${error && error.message}`;
+
+            // The connection is still usable for other commands
+            const keys = await backend.keys('info:');
+            if (keys.length !== 1) return `keys ${keys.join(',')} after an error reply`;
+
+            // The cache misses once, then stays on memory until the retry interval
+            const cache = new CacheService({ namespaces: { info: 60000 }, memory: new MemoryBackend(), backend, retryInterval: 60000 });
+            if (await cache.get('info', 'jjk') !== null) return 'cache read a value through a failing GET';
+            await cache.set('info', 'jjk', { title: 'from memory' });
+            const value = await cache.get('info', 'jjk');
+            if (cache.fallbacks !== 1) return `expected 1 fallback, got ${cache.fallbacks}`;
+            return value && value.title === 'from memory' ? null : `cache got ${JSON.stringify(value)}`;
+        } finally {
+            redis.failCommands.clear();
+        }
+    });
+
+    await runTest('Reconnect after a dropped connection', async () => {
+        redis.dropConnections();
+
+        // Commands issued while reconnecting may fail, later ones must not
+        const deadline = Date.now() + 3000;
+        while (Date.now() < deadline) {
+            const stored = await backend.get('info:jjk').catch(() => null);
+            if (stored) return null;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return 'no successful command within 3s of the drop';
+    });
+
+    await runTest('Unreachable server', async () => {
+        const unreachable = new RedisBackend({
+            url: `redis://127.0.0.1:${port}`,
+            connectTimeout: 300,
+            commandTimeout: 500,
+        });
+        await redis.close();
+
+        const started = Date.now();
+        const error = await unreachable.get('info:jjk').then(() => null, err => err);
+        const elapsed = Date.now() - started;
+        unreachable.close();
+
+        if (!error) return 'command succeeded without a server';
+        return elapsed <= 1500 ? null : `command failed after ${elapsed}ms`;
+    });
+
+    backend.close();
+}
+
+run(runAllTests);
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * AnimeSalt API Replay Smoke Test
+ * Boots the app with the replay transport and checks that the main endpoints
+ * answer from the committed fixtures (./fixtures) without network access:
+ * - /api/home, /api/info, /api/episodes, /api/stream, /api/movies/:id/stream
+ * - /api/cartoon/:id/stream of a cartoon only published as a movie
+ * - /graphql, including an introspection query
+ *
+ * Exits non-zero when an endpoint fails or falls back to sample data.
+ */
+
+// Serve every upstream page from the fixtures
+process.env.TRANSPORT_MODE = 'replay';
+
+const createApp = require('./src/app');
+const config = require('./src/config');
+const { printBanner, listen, runEndpointTest, run } = require('./test-helpers');
+
+const SERIES_ID = 'naruto-shippuden';
+
+printBanner('Replay Smoke Test', [`Fixtures: ${config.transport.fixturesDir}`]);
+
+async function runAllTests() {
+    const { server, baseUrl } = await listen(createApp());
+
+    await runEndpointTest(baseUrl, 'Home', '/api/home', (data) => {
+        if (data.meta && data.meta.isFallback) return 'got fallback data';
+        if (!data.trending || data.trending.length === 0) return 'no trending titles';
+        return data.trending.some(item => item.id === SERIES_ID) ? null : `${SERIES_ID} is not trending`;
+    });
+
+    await runEndpointTest(baseUrl, 'Info', `/api/info?id=${SERIES_ID}`, (data) => {
+        if (!data.success) return data.error || 'not successful';
+        return data.title === 'Naruto Shippuden' ? null : `unexpected title "${data.title}"`;
+    });
+
+    await runEndpointTest(baseUrl, 'Episodes', `/api/episodes?id=${SERIES_ID}`, (data) => {
+        if (!data.success) return data.error || 'not successful';
+        return data.episodes.length > 0 ? null : 'no episodes';
+    });
+
+    await runEndpointTest(baseUrl, 'Stream', `/api/stream?id=${SERIES_ID}&episode=1x1&lang=hindi`, (data) => {
+        if (!data.success) return data.error || 'not successful';
+        return data.sources.length > 0 ? null : 'no sources';
+    });
+
+    await runEndpointTest(baseUrl, 'Movie stream', '/api/movies/your-name/stream', (data) => {
+        if (!data.success) return data.error || 'not successful';
+        if (data.movieId !== 'your-name') return `movieId is ${data.movieId}`;
+        if (!/^https:\/\/animesalt\.cc\/(movies|watch)\/your-name/.test(data.watchUrl)) return `watchUrl is ${data.watchUrl}`;
+        if ('episodeId' in data || 'animeId' in data) return `got episodeId ${data.episodeId} and animeId ${data.animeId}`;
+        return data.sources.length > 0 ? null : 'no sources';
+    });
+
+    await runEndpointTest(baseUrl, 'Cartoon stream located as a movie', '/api/cartoon/your-name/stream', (data) => {
+        if (!data.success) return data.error || 'not successful';
+        if (data.episodeId !== 'your-name-1x1') return `episodeId is ${data.episodeId}`;
+        return data.sources.length > 0 ? null : 'no sources';
+    });
+
+    await runEndpointTest(baseUrl, 'GraphQL', '/graphql?query=' + encodeURIComponent(
+        `{ anime(id: "${SERIES_ID}") { title episodes(season: 1) { id } } movie(id: "your-name") { title sources { url } } }`
+    ), (data) => {
+        if (data.errors) return data.errors[0].message;
+        if (!data.data.anime || data.data.anime.episodes.length === 0) return 'no anime episodes';
+        return data.data.movie && data.data.movie.sources.length > 0 ? null : 'no movie sources';
+    });
+
+    await runEndpointTest(baseUrl, 'GraphQL introspection', '/graphql?query=' + encodeURIComponent(
+        '{ __schema { queryType { name } types { name } } }'
+    ), (data) => {
+        if (data.errors) return data.errors[0].message;
+        return data.data.__schema.types.some(type => type.name === 'Anime') ? null : 'Anime type missing';
+    });
+
+    server.close();
+}
+
+run(runAllTests);
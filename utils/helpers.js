@@ -3,9 +3,9 @@
  * Common functions for scraping, parsing, and data transformation
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
 const config = require('../config/config');
+const { getTransport } = require('../src/utils/transport');
 
 /**
  * Fetch HTML from URL with retry logic
@@ -16,7 +16,7 @@ async function fetchHTML(url, options = {}) {
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            const response = await axios.get(url, {
+            const response = await getTransport().get(url, {
                 headers: {
                     ...config.request.headers,
                     ...options.headers,
@@ -24,6 +24,10 @@ async function fetchHTML(url, options = {}) {
                 timeout,
             });
 
+            if (response.status >= 400) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
             return response.data;
         } catch (error) {
             if (attempt === maxRetries) {